@@ -0,0 +1,721 @@
+#!/usr/bin/env node
+// KimmelDrive command-line client.
+// Talks to the same HTTP API as public/index.html, so anything it does shows up in the audit log like a browser action.
+// Run "kimmeldrive help" for the list of commands.
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const readline = require('readline');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { parseArgs } = require('util');
+const QRCode = require('qrcode');
+
+// --- Configuration ---
+// The server URL and session token are kept in a small JSON file (mode 600) after "kimmeldrive login".
+// For cron jobs and CI, KIMMELDRIVE_URL, KIMMELDRIVE_USER and KIMMELDRIVE_PASSWORD log in on the fly instead.
+const CONFIG_FILE = process.env.KIMMELDRIVE_CONFIG || path.join(os.homedir(), '.config', 'kimmeldrive', 'cli.json');
+const CHUNK_SIZE = 8 * 1024 * 1024; // Bytes per resumable upload request
+const CHUNK_RETRIES = 3;
+const LIST_PAGE_SIZE = 1000; // The server's BROWSE_MAX_LIMIT
+const MTIME_TOLERANCE_MS = 1000; // Filesystems that round timestamps to whole seconds still count as "same time"
+const SYNC_COMPARE_MODES = ['size', 'mtime', 'hash'];
+const PART_SUFFIX = '.kimmeldrive-part';
+
+const USAGE = `Usage: kimmeldrive <command> [options]
+
+Commands:
+  login [url] [-u user] [-p password]     Log in and remember the session
+  logout                                  End the session
+  ls [path] [-l] [-R]                     List a folder (-l details, -R recursive)
+  get <remote> [local]                    Download a file or a whole folder
+  put <local...> <remote-folder>          Upload files and folders (recursive)
+        [--overwrite] [--skip-identical]
+  mkdir <path> [-p]                       Create a folder (-p: with its parents)
+  mv <source> <destination>               Move or rename
+  rm <path...>                            Move items to the recycle bin
+  share <path> [--expires hours|never]    Create a share link and print it with a QR code
+        [--password pw] [--max-downloads n] [--no-qr]
+  save <remote> [local] [--etag etag]     Replace a text file's contents (from a file or stdin)
+  sync <local> <remote> [--pull]          Mirror local -> remote (or remote -> local with --pull)
+        [--compare size|mtime|hash] [--dry-run] [--delete]
+
+Every command accepts --url to talk to another server than the configured one.
+Environment: KIMMELDRIVE_URL, KIMMELDRIVE_USER, KIMMELDRIVE_PASSWORD, KIMMELDRIVE_CONFIG`;
+
+function fail(message) {
+    const error = new Error(message);
+    error.isUsageError = true;
+    return error;
+}
+
+async function loadConfig() {
+    try {
+        return await fs.readJson(CONFIG_FILE);
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`Ignoring unreadable config ${CONFIG_FILE}: ${error.message}`);
+        return {};
+    }
+}
+
+async function saveConfig(config) {
+    await fs.ensureDir(path.dirname(CONFIG_FILE));
+    await fs.writeJson(CONFIG_FILE, config, { spaces: 2, mode: 0o600 });
+}
+
+// --- HTTP ---
+
+const client = { url: null, token: null, relogin: null };
+
+function normalizeServerUrl(url) {
+    if (!url) return null;
+    return (/^https?:\/\//i.test(url) ? url : `http://${url}`).replace(/\/+$/, '');
+}
+
+// Remote paths are relative to the user's view, without leading or trailing slashes
+function normalizeRemotePath(remotePath) {
+    return String(remotePath || '').split('/').filter(part => part && part !== '.').join('/');
+}
+
+function encodeRemotePath(remotePath) {
+    return normalizeRemotePath(remotePath).split('/').map(encodeURIComponent).join('/');
+}
+
+function joinRemotePath(...parts) {
+    return normalizeRemotePath(parts.filter(Boolean).join('/'));
+}
+
+async function login(url, username, password) {
+    const response = await fetch(`${url}/api/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Login failed (HTTP ${response.status})`);
+    return data;
+}
+
+// Send a request to the server and return the raw response; non-2xx answers throw with the server's error message.
+// options: { method, json, body, headers, query, allowStatus: [codes that are returned instead of thrown] }
+async function request(urlPath, options = {}) {
+    if (!client.url) throw fail('No server configured. Run "kimmeldrive login <url>" or set KIMMELDRIVE_URL.');
+    const query = options.query ? `?${new URLSearchParams(Object.entries(options.query).filter(([, value]) => value !== undefined && value !== null))}` : '';
+    const headers = { ...options.headers };
+    if (client.token) headers.Authorization = `Bearer ${client.token}`;
+    let body = options.body;
+    if (options.json !== undefined) {
+        headers['Content-Type'] = 'application/json';
+        body = JSON.stringify(options.json);
+    }
+
+    const response = await fetch(`${client.url}${urlPath}${query}`, { method: options.method || 'GET', headers, body });
+    // An expired session is renewed once when credentials are available from the environment
+    if (response.status === 401 && client.relogin) {
+        const relogin = client.relogin;
+        client.relogin = null;
+        await relogin();
+        return request(urlPath, options);
+    }
+    if (response.ok || (options.allowStatus || []).includes(response.status)) return response;
+
+    const text = await response.text();
+    let message = text.trim() || `HTTP ${response.status}`;
+    try {
+        message = JSON.parse(text).error || message;
+    } catch (error) {
+        // Plain text answer (downloads); use it as is
+    }
+    if (response.status === 401) message += ' Run "kimmeldrive login" first.';
+    const error = new Error(message);
+    error.status = response.status;
+    throw error;
+}
+
+async function requestJson(urlPath, options) {
+    const response = await request(urlPath, options);
+    return response.json();
+}
+
+// --- Remote Helpers ---
+
+// What a remote path is: 'dir', 'file' or null when it doesn't exist
+async function getRemoteType(remotePath) {
+    const response = await request(`/api/browse/${encodeRemotePath(remotePath)}`, { query: { limit: 1 }, allowStatus: [400, 404] });
+    if (response.status === 404) return null;
+    return response.status === 400 ? 'file' : 'dir';
+}
+
+async function listRemote(remotePath) {
+    const items = [];
+    let offset = 0;
+    while (offset !== null) {
+        const page = await requestJson(`/api/browse/${encodeRemotePath(remotePath)}`, { query: { offset, limit: LIST_PAGE_SIZE } });
+        items.push(...page.items);
+        offset = page.next_offset;
+    }
+    return items;
+}
+
+// Walk a remote folder; returns a Map of path relative to the folder -> listing entry
+async function walkRemote(remotePath, prefix = '', entries = new Map()) {
+    for (const item of await listRemote(remotePath)) {
+        const relativePath = prefix ? `${prefix}/${item.name}` : item.name;
+        entries.set(relativePath, item);
+        if (item.is_dir) await walkRemote(joinRemotePath(remotePath, item.name), relativePath, entries);
+    }
+    return entries;
+}
+
+// Create a folder and any missing parents
+async function ensureRemoteDir(remotePath) {
+    const parts = normalizeRemotePath(remotePath).split('/').filter(Boolean);
+    for (let i = 0; i < parts.length; i++) {
+        const parent = parts.slice(0, i).join('/');
+        const response = await request('/api/mkdir', { method: 'POST', json: { parent_path: parent, dir_name: parts[i] }, allowStatus: [409] });
+        if (response.status === 409 && await getRemoteType(joinRemotePath(parent, parts[i])) !== 'dir') {
+            throw new Error(`/${joinRemotePath(parent, parts[i])} exists and is not a folder.`);
+        }
+    }
+}
+
+async function removeRemote(remotePath) {
+    return requestJson('/api/delete', { method: 'POST', json: { path: normalizeRemotePath(remotePath) } });
+}
+
+async function hashLocalFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+}
+
+// Upload one file through the resumable upload API: every chunk carries its checksum and the whole file is
+// verified on finalize. The fingerprint lets an interrupted run pick up where it stopped.
+async function uploadFile(localPath, remoteDir, options = {}) {
+    const stats = await fs.stat(localPath);
+    const sha256 = await hashLocalFile(localPath);
+    const fingerprint = `cli:${sha256}:${stats.size}:${normalizeRemotePath(remoteDir)}/${options.name || path.basename(localPath)}`;
+    const session = await requestJson('/api/uploads', {
+        method: 'POST',
+        json: {
+            path: normalizeRemotePath(remoteDir),
+            filename: options.name || path.basename(localPath),
+            size: stats.size,
+            sha256: sha256,
+            fingerprint: fingerprint,
+            conflict: options.overwrite ? 'overwrite' : 'rename',
+            duplicates: options.duplicates
+        }
+    });
+
+    const handle = await fs.open(localPath, 'r');
+    try {
+        let offset = session.offset;
+        let retries = 0;
+        while (offset < stats.size) {
+            const length = Math.min(CHUNK_SIZE, stats.size - offset);
+            const chunk = Buffer.alloc(length);
+            await fs.read(handle, chunk, 0, length, offset);
+            const response = await request(`/api/uploads/${session.upload_id}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/offset+octet-stream',
+                    'Upload-Offset': String(offset),
+                    'Upload-Checksum': `sha256 ${crypto.createHash('sha256').update(chunk).digest('base64')}`
+                },
+                body: chunk,
+                allowStatus: [409, 460]
+            });
+            const result = await response.json();
+            if (response.ok) {
+                offset = result.offset;
+                retries = 0;
+                continue;
+            }
+            // Checksum mismatch or offset disagreement: continue from where the server says it is
+            if (++retries > CHUNK_RETRIES) throw new Error(`Upload of ${localPath} failed: ${result.error}`);
+            offset = result.offset ?? offset;
+        }
+    } finally {
+        await fs.close(handle);
+    }
+
+    return requestJson(`/api/uploads/${session.upload_id}/finalize`, { method: 'POST', json: { sha256 } });
+}
+
+// Download a file into localPath (via a part file, so an interrupted download never looks complete)
+async function downloadFile(remotePath, localPath, remoteMtime) {
+    const response = await request(`/download/${encodeRemotePath(remotePath)}`);
+    await fs.ensureDir(path.dirname(localPath));
+    const partPath = localPath + PART_SUFFIX;
+    try {
+        await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(partPath));
+        await fs.move(partPath, localPath, { overwrite: true });
+    } catch (error) {
+        await fs.remove(partPath).catch(() => {});
+        throw error;
+    }
+    // Keep the server's modification time, so "sync --compare mtime" sees the copies as equal
+    const mtime = remoteMtime || response.headers.get('last-modified');
+    if (mtime) await fs.utimes(localPath, new Date(), new Date(mtime));
+}
+
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return '-';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+function formatListingLine(item, displayPath, long) {
+    const name = displayPath + (item.is_dir ? '/' : '');
+    if (!long) return name;
+    const size = item.is_dir ? `${item.child_count ?? '?'} items` : formatBytes(item.size);
+    const mtime = item.mtime ? item.mtime.replace('T', ' ').slice(0, 19) : '-';
+    return `${item.is_dir ? 'd' : '-'}  ${size.padStart(10)}  ${mtime}  ${name}`;
+}
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+// Ask for a password without echoing it
+function promptPassword(question) {
+    return new Promise((resolve, reject) => {
+        if (!process.stdin.isTTY) return reject(fail('No password given. Use --password or KIMMELDRIVE_PASSWORD.'));
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        rl._writeToOutput = (text) => {
+            if (text.includes(question)) process.stdout.write(text);
+        };
+        rl.question(question, (answer) => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+function promptLine(question) {
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        rl.question(question, (answer) => {
+            rl.close();
+            resolve(answer.trim());
+        });
+    });
+}
+
+// --- Commands ---
+// Each command gets its parsed { values, positionals } and returns the process exit code (0 when omitted).
+
+const COMMANDS = {
+    login: {
+        options: { user: { type: 'string', short: 'u' }, password: { type: 'string', short: 'p' } },
+        anonymous: true,
+        async run({ values, positionals }, config) {
+            const url = normalizeServerUrl(positionals[0]) || client.url || normalizeServerUrl(await promptLine('Server URL: '));
+            if (!url) throw fail('A server URL is required.');
+            const username = values.user || process.env.KIMMELDRIVE_USER || await promptLine('Username: ');
+            const password = values.password || process.env.KIMMELDRIVE_PASSWORD || await promptPassword('Password: ');
+            const result = await login(url, username, password);
+            await saveConfig({ ...config, url: url, token: result.token, username: result.user.username });
+            console.log(`Logged in to ${url} as ${result.user.username} (session valid until ${result.expires_at}).`);
+        }
+    },
+
+    logout: {
+        anonymous: true,
+        async run(args, config) {
+            if (client.url && config.token) {
+                await request('/api/logout', { method: 'POST' }).catch(error => console.warn(`Could not end the session on the server: ${error.message}`));
+            }
+            const { token, username, ...rest } = config;
+            await saveConfig(rest);
+            console.log('Logged out.');
+        }
+    },
+
+    ls: {
+        options: { long: { type: 'boolean', short: 'l' }, recursive: { type: 'boolean', short: 'R' } },
+        async run({ values, positionals }) {
+            const remotePath = normalizeRemotePath(positionals[0]);
+            if (values.recursive) {
+                for (const [relativePath, item] of await walkRemote(remotePath)) {
+                    console.log(formatListingLine(item, relativePath, values.long));
+                }
+                return;
+            }
+            for (const item of await listRemote(remotePath)) {
+                console.log(formatListingLine(item, item.name, values.long));
+            }
+        }
+    },
+
+    get: {
+        async run({ positionals }) {
+            if (positionals.length < 1) throw fail('Usage: kimmeldrive get <remote> [local]');
+            const remotePath = normalizeRemotePath(positionals[0]);
+            const type = await getRemoteType(remotePath);
+            if (!type) throw new Error(`Not found: /${remotePath}`);
+            const name = path.posix.basename(remotePath) || 'KimmelDrive';
+            let localPath = positionals[1] || name;
+            const localStats = await fs.stat(localPath).catch(() => null);
+            // Like cp: an existing local folder as target receives the item under its own name
+            if (positionals[1] !== undefined && localStats && localStats.isDirectory()) {
+                localPath = path.join(localPath, name);
+            }
+
+            if (type === 'file') {
+                await downloadFile(remotePath, localPath);
+                console.log(`Downloaded /${remotePath} -> ${localPath}`);
+                return;
+            }
+            await fs.ensureDir(localPath);
+            let count = 0;
+            for (const [relativePath, item] of await walkRemote(remotePath)) {
+                const target = path.join(localPath, ...relativePath.split('/'));
+                if (item.is_dir) {
+                    await fs.ensureDir(target);
+                    continue;
+                }
+                await downloadFile(item.path, target, item.mtime);
+                console.log(`Downloaded /${item.path}`);
+                count++;
+            }
+            console.log(`${count} file(s) downloaded to ${localPath}`);
+        }
+    },
+
+    put: {
+        options: { overwrite: { type: 'boolean' }, 'skip-identical': { type: 'boolean' } },
+        async run({ values, positionals }) {
+            if (positionals.length < 2) throw fail('Usage: kimmeldrive put <local...> <remote-folder>');
+            const remoteDir = normalizeRemotePath(positionals[positionals.length - 1]);
+            const uploadOptions = { overwrite: values.overwrite, duplicates: values['skip-identical'] ? 'skip' : undefined };
+            await ensureRemoteDir(remoteDir);
+
+            let count = 0;
+            const putItem = async (localPath, targetDir) => {
+                const stats = await fs.stat(localPath);
+                if (stats.isDirectory()) {
+                    const folder = joinRemotePath(targetDir, path.basename(path.resolve(localPath)));
+                    await ensureRemoteDir(folder);
+                    for (const name of (await fs.readdir(localPath)).sort()) {
+                        await putItem(path.join(localPath, name), folder);
+                    }
+                    return;
+                }
+                if (!stats.isFile()) {
+                    console.warn(`Skipping ${localPath}: not a regular file`);
+                    return;
+                }
+                const result = await uploadFile(localPath, targetDir, uploadOptions);
+                console.log(result.skipped ? `Skipped ${localPath}: identical to /${joinRemotePath(targetDir, result.duplicate_of)}` : `Uploaded ${localPath} -> /${joinRemotePath(targetDir, result.saved_as)}`);
+                count++;
+            };
+            for (const localPath of positionals.slice(0, -1)) {
+                await putItem(localPath, remoteDir);
+            }
+            console.log(`${count} file(s) uploaded to /${remoteDir}`);
+        }
+    },
+
+    mkdir: {
+        options: { parents: { type: 'boolean', short: 'p' } },
+        async run({ values, positionals }) {
+            if (positionals.length < 1) throw fail('Usage: kimmeldrive mkdir <path> [-p]');
+            for (const remotePath of positionals.map(normalizeRemotePath)) {
+                if (values.parents) {
+                    await ensureRemoteDir(remotePath);
+                    console.log(`Created /${remotePath}`);
+                    continue;
+                }
+                const result = await requestJson('/api/mkdir', {
+                    method: 'POST',
+                    json: { parent_path: path.posix.dirname(remotePath).replace(/^\.$/, ''), dir_name: path.posix.basename(remotePath) }
+                });
+                console.log(result.message);
+            }
+        }
+    },
+
+    mv: {
+        async run({ positionals }) {
+            if (positionals.length !== 2) throw fail('Usage: kimmeldrive mv <source> <destination>');
+            const source = normalizeRemotePath(positionals[0]);
+            const destination = normalizeRemotePath(positionals[1]);
+            const sourceParent = path.posix.dirname(source).replace(/^\.$/, '');
+
+            // Into an existing folder: keep the name
+            if (await getRemoteType(destination) === 'dir') {
+                const result = await requestJson('/api/move', { method: 'POST', json: { sourcePath: source, destinationPath: destination } });
+                console.log(result.message);
+                return;
+            }
+            const destinationParent = path.posix.dirname(destination).replace(/^\.$/, '');
+            const newName = path.posix.basename(destination);
+            let current = source;
+            if (destinationParent !== sourceParent) {
+                if (await getRemoteType(destinationParent) !== 'dir') throw new Error(`Folder not found: /${destinationParent}`);
+                const moved = await requestJson('/api/move', { method: 'POST', json: { sourcePath: source, destinationPath: destinationParent } });
+                current = moved.path;
+                if (moved.name === newName) {
+                    console.log(moved.message);
+                    return;
+                }
+            }
+            const renamed = await requestJson('/api/rename', { method: 'POST', json: { path: current, new_name: newName } });
+            console.log(`Moved /${source} -> /${renamed.path}`);
+        }
+    },
+
+    rm: {
+        async run({ positionals }) {
+            if (positionals.length < 1) throw fail('Usage: kimmeldrive rm <path...>');
+            for (const remotePath of positionals) {
+                const result = await removeRemote(remotePath);
+                console.log(result.message);
+            }
+        }
+    },
+
+    share: {
+        options: {
+            expires: { type: 'string' },
+            password: { type: 'string' },
+            'max-downloads': { type: 'string' },
+            'no-qr': { type: 'boolean' }
+        },
+        async run({ values, positionals }) {
+            if (positionals.length !== 1) throw fail('Usage: kimmeldrive share <path> [--expires hours|never] [--password pw] [--max-downloads n]');
+            const result = await requestJson('/api/share', {
+                method: 'POST',
+                json: {
+                    path: normalizeRemotePath(positionals[0]),
+                    expires_in_hours: values.expires,
+                    password: values.password,
+                    max_downloads: values['max-downloads']
+                }
+            });
+            console.log(result.share_url);
+            if (result.expires_at) console.log(`Expires: ${result.expires_at}`);
+            if (!values['no-qr']) {
+                process.stdout.write(await QRCode.toString(result.share_url, { type: 'terminal', small: true }));
+            }
+        }
+    },
+
+    save: {
+        options: { etag: { type: 'string' } },
+        async run({ values, positionals }) {
+            if (positionals.length < 1) throw fail('Usage: kimmeldrive save <remote> [local] (reads stdin without [local])');
+            const content = positionals[1] ? await fs.readFile(positionals[1], 'utf8') : await readStdin();
+            const response = await request('/api/save', {
+                method: 'POST',
+                json: { filePath: normalizeRemotePath(positionals[0]), content },
+                headers: values.etag ? { 'If-Match': values.etag } : {},
+                allowStatus: [409]
+            });
+            const result = await response.json();
+            if (response.status === 409) {
+                console.error(`${result.error}\n${result.diff}`);
+                console.error(`Current version: ${result.current_etag} (pass it with --etag to overwrite)`);
+                return 1;
+            }
+            console.log(`${result.message} (etag ${result.etag})`);
+        }
+    },
+
+    sync: {
+        options: {
+            pull: { type: 'boolean' },
+            compare: { type: 'string', default: 'mtime' },
+            'dry-run': { type: 'boolean', short: 'n' },
+            delete: { type: 'boolean' }
+        },
+        async run({ values, positionals }) {
+            if (positionals.length !== 2) throw fail('Usage: kimmeldrive sync <local> <remote> [--pull] [--compare size|mtime|hash] [--dry-run] [--delete]');
+            if (!SYNC_COMPARE_MODES.includes(values.compare)) throw fail(`--compare must be one of: ${SYNC_COMPARE_MODES.join(', ')}`);
+            return syncFolders(positionals[0], normalizeRemotePath(positionals[1]), {
+                pull: values.pull,
+                compare: values.compare,
+                dryRun: values['dry-run'],
+                deleteExtraneous: values.delete
+            });
+        }
+    }
+};
+
+// --- Sync ---
+// Mirrors one side onto the other: missing and changed files are copied, and with --delete anything that only
+// exists on the target side is removed (remote deletions go to the recycle bin). Whether a file changed is decided by
+//   size   the sizes differ
+//   mtime  the sizes differ or the source is newer than the target (default)
+//   hash   the sizes or the SHA-256 digests differ (the server's hash cache makes this cheap on the remote side)
+
+// Walk a local folder; returns a Map of path relative to the folder (with forward slashes) -> { is_dir, size, mtimeMs }
+async function walkLocal(root, prefix = '', entries = new Map()) {
+    for (const name of (await fs.readdir(root)).sort()) {
+        if (name.endsWith(PART_SUFFIX)) continue;
+        const fullPath = path.join(root, name);
+        const stats = await fs.stat(fullPath).catch(() => null);
+        if (!stats || (!stats.isFile() && !stats.isDirectory())) continue;
+        const relativePath = prefix ? `${prefix}/${name}` : name;
+        entries.set(relativePath, { is_dir: stats.isDirectory(), size: stats.size, mtimeMs: stats.mtimeMs, fullPath });
+        if (stats.isDirectory()) await walkLocal(fullPath, relativePath, entries);
+    }
+    return entries;
+}
+
+async function isChanged(compare, source, target, getHashes) {
+    if (source.size !== target.size) return true;
+    if (compare === 'size') return false;
+    if (compare === 'mtime') return source.mtimeMs - target.mtimeMs > MTIME_TOLERANCE_MS;
+    const [sourceHash, targetHash] = await getHashes();
+    return sourceHash !== targetHash;
+}
+
+async function syncFolders(localRoot, remoteRoot, { pull, compare, dryRun, deleteExtraneous }) {
+    const localStats = await fs.stat(localRoot).catch(() => null);
+    if (localStats && !localStats.isDirectory()) throw fail(`${localRoot} is not a folder.`);
+    if (!localStats && !pull) throw fail(`Local folder not found: ${localRoot}`);
+    const remoteType = await getRemoteType(remoteRoot);
+    if (remoteType === 'file') throw fail(`/${remoteRoot} is not a folder.`);
+    if (!remoteType && pull) throw fail(`Remote folder not found: /${remoteRoot}`);
+
+    const local = localStats ? await walkLocal(localRoot) : new Map();
+    const remote = new Map();
+    if (remoteType) {
+        for (const [relativePath, item] of await walkRemote(remoteRoot)) {
+            remote.set(relativePath, { is_dir: item.is_dir, size: item.size, mtimeMs: item.mtime ? Date.parse(item.mtime) : 0, mtime: item.mtime });
+        }
+    }
+    const source = pull ? remote : local;
+    const target = pull ? local : remote;
+    const remotePathOf = relativePath => joinRemotePath(remoteRoot, relativePath);
+    const localPathOf = relativePath => path.join(localRoot, ...relativePath.split('/'));
+
+    const counts = { copied: 0, created: 0, deleted: 0, unchanged: 0, failed: 0 };
+    const report = (action, relativePath) => console.log(`${dryRun ? '[dry run] ' : ''}${action.padEnd(8)} ${relativePath}`);
+    // One failing file doesn't stop the run; the exit code reports it
+    const attempt = async (action, relativePath, work) => {
+        report(action, relativePath);
+        if (dryRun) return true;
+        try {
+            await work();
+            return true;
+        } catch (error) {
+            console.error(`Failed to ${action} ${relativePath}: ${error.message}`);
+            counts.failed++;
+            return false;
+        }
+    };
+
+    if (!dryRun) {
+        if (pull) await fs.ensureDir(localRoot);
+        else await ensureRemoteDir(remoteRoot);
+    }
+
+    // Sorted walks list every folder before its contents, so parents are created first
+    for (const [relativePath, entry] of source) {
+        const existing = target.get(relativePath);
+        if (existing && existing.is_dir !== entry.is_dir) {
+            console.error(`Skipping ${relativePath}: a ${existing.is_dir ? 'folder' : 'file'} with that name exists on the other side`);
+            counts.failed++;
+            continue;
+        }
+        if (entry.is_dir) {
+            if (existing) continue;
+            if (await attempt('mkdir', relativePath, () => (pull ? fs.ensureDir(localPathOf(relativePath)) : ensureRemoteDir(remotePathOf(relativePath))))) {
+                counts.created++;
+            }
+            continue;
+        }
+
+        if (existing) {
+            const getHashes = async () => {
+                const remoteHash = (await requestJson(`/api/hash/${encodeRemotePath(remotePathOf(relativePath))}`)).sha256;
+                const localHash = await hashLocalFile(localPathOf(relativePath));
+                return pull ? [remoteHash, localHash] : [localHash, remoteHash];
+            };
+            if (!await isChanged(compare, entry, existing, getHashes)) {
+                counts.unchanged++;
+                continue;
+            }
+        }
+        const action = pull ? 'download' : 'upload';
+        const copied = await attempt(action, relativePath, () => (pull
+            ? downloadFile(remotePathOf(relativePath), localPathOf(relativePath), entry.mtime)
+            : uploadFile(entry.fullPath, path.posix.dirname(remotePathOf(relativePath)).replace(/^\.$/, ''), { overwrite: true })));
+        if (copied) counts.copied++;
+    }
+
+    if (deleteExtraneous) {
+        const deleted = [];
+        for (const relativePath of target.keys()) {
+            if (source.has(relativePath)) continue;
+            // Removing a folder takes its contents along
+            if (deleted.some(folder => relativePath.startsWith(`${folder}/`))) continue;
+            deleted.push(relativePath);
+            if (await attempt('delete', relativePath, () => (pull ? fs.remove(localPathOf(relativePath)) : removeRemote(remotePathOf(relativePath))))) {
+                counts.deleted++;
+            }
+        }
+    }
+
+    const direction = pull ? `/${remoteRoot} -> ${localRoot}` : `${localRoot} -> /${remoteRoot}`;
+    console.log(`${dryRun ? 'Dry run: ' : ''}${direction}: ${counts.copied} copied, ${counts.created} folder(s) created, ${counts.deleted} deleted, ${counts.unchanged} unchanged${counts.failed ? `, ${counts.failed} failed` : ''}`);
+    return counts.failed ? 1 : 0;
+}
+
+// --- Main ---
+
+async function main(argv) {
+    const [commandName, ...rest] = argv;
+    if (!commandName || ['help', '--help', '-h'].includes(commandName)) {
+        console.log(USAGE);
+        return 0;
+    }
+    const command = Object.prototype.hasOwnProperty.call(COMMANDS, commandName) ? COMMANDS[commandName] : null;
+    if (!command) throw fail(`Unknown command "${commandName}". Run "kimmeldrive help" for the list of commands.`);
+
+    let args;
+    try {
+        args = parseArgs({ args: rest, options: { ...command.options, url: { type: 'string' } }, allowPositionals: true });
+    } catch (error) {
+        throw fail(error.message);
+    }
+
+    const config = await loadConfig();
+    client.url = normalizeServerUrl(args.values.url || process.env.KIMMELDRIVE_URL || config.url);
+    client.token = config.token || null;
+    // A different server than the configured one never gets the stored session token
+    if (client.url && config.url && client.url !== normalizeServerUrl(config.url)) client.token = null;
+
+    const { KIMMELDRIVE_USER: envUser, KIMMELDRIVE_PASSWORD: envPassword } = process.env;
+    if (!command.anonymous && envUser && envPassword) {
+        client.relogin = async () => {
+            client.token = (await login(client.url, envUser, envPassword)).token;
+        };
+        if (!client.token && client.url) await client.relogin();
+    }
+
+    return (await command.run(args, config)) || 0;
+}
+
+main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+}).catch((error) => {
+    console.error(`kimmeldrive: ${error.message}`);
+    if (error.isUsageError) console.error('Run "kimmeldrive help" for usage.');
+    process.exitCode = error.isUsageError ? 2 : 1;
+});
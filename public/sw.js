@@ -0,0 +1,338 @@
+// KimmelDrive service worker: keeps the app usable without a network connection.
+// - The app shell (page, manifest, icon, fonts) is served network-first with a cached fallback.
+// - Folder listings and the current user are cached as they are fetched; the most recent ones stay available offline.
+// - Thumbnails are cached as they are shown (their URLs change with the file, so the cache never goes stale).
+// - Files the user pins are stored whole and served when /download fails.
+// - Uploads and editor saves that failed for lack of a connection wait in an outbox (IndexedDB)
+//   and are replayed through background sync, or when the page reports it is back online.
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `kimmeldrive-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `kimmeldrive-data-${CACHE_VERSION}`; // Listings and /api/me; cleared on logout
+const PINNED_CACHE = `kimmeldrive-pinned-${CACHE_VERSION}`;
+const THUMBNAIL_CACHE = `kimmeldrive-thumbnails-${CACHE_VERSION}`; // Cleared on logout
+const SHELL_FILES = ['/', '/manifest.json', '/icons/logo.svg'];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+const MAX_CACHED_LISTINGS = 100;
+const MAX_CACHED_THUMBNAILS = 1000;
+const SYNC_TAG = 'kimmeldrive-outbox';
+const OFFLINE_HEADER = 'X-KimmelDrive-Offline'; // Set on responses served from the cache instead of the network
+
+const DB_NAME = 'kimmeldrive-offline';
+const DB_VERSION = 1;
+// outbox: { id, type: 'upload'|'save', user, state: 'pending'|'failed', error, conflict, created_at, ...operation fields }
+//   upload: directory, relative_path, file (Blob), conflict_policy, duplicates
+//   save:   path, content, etag
+// pinned: { path, name, size, pinned_at }
+
+// --- IndexedDB ---
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore('outbox', { keyPath: 'id' });
+            request.result.createObjectStore('pinned', { keyPath: 'path' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run one request against a store and resolve with its result once the transaction has committed
+async function withStore(storeName, mode, action) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = action(transaction.objectStore(storeName));
+        transaction.oncomplete = () => { db.close(); resolve(request.result); };
+        transaction.onerror = () => { db.close(); reject(transaction.error); };
+        transaction.onabort = () => { db.close(); reject(transaction.error || new Error('Transactie afgebroken')); };
+    });
+}
+
+const getAll = (storeName) => withStore(storeName, 'readonly', store => store.getAll());
+const getRecord = (storeName, key) => withStore(storeName, 'readonly', store => store.get(key));
+const putRecord = (storeName, record) => withStore(storeName, 'readwrite', store => store.put(record));
+const deleteRecord = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
+const clearStore = (storeName) => withStore(storeName, 'readwrite', store => store.clear());
+
+// --- Lifecycle ---
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, DATA_CACHE, PINNED_CACHE, THUMBNAIL_CACHE];
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names.filter(name => name.startsWith('kimmeldrive-') && !current.includes(name)).map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+// --- Fetch Handling ---
+// Only GET requests are handled; everything else (uploads, SSE, WebDAV, share pages) goes straight to the network
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin) {
+        if (FONT_HOSTS.includes(url.hostname)) event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+        return;
+    }
+    if (request.mode === 'navigate') {
+        // Other pages (public share links) are server-rendered and have no offline version
+        if (url.pathname === '/' || url.pathname === '/index.html') event.respondWith(networkFirst(request, SHELL_CACHE, '/'));
+        return;
+    }
+    if (SHELL_FILES.includes(url.pathname)) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else if (url.pathname === '/api/me' || url.pathname.startsWith('/api/browse/')) {
+        event.respondWith(networkFirst(request, DATA_CACHE, null, MAX_CACHED_LISTINGS));
+    } else if (url.pathname.startsWith('/api/thumbnail/')) {
+        event.respondWith(cacheFirst(request, THUMBNAIL_CACHE, MAX_CACHED_THUMBNAILS));
+    } else if (url.pathname.startsWith('/download/')) {
+        event.respondWith(fetchDownload(request));
+    }
+});
+
+// Mark a cached response so the page can tell the user they are looking at an offline copy
+function markOffline(response) {
+    const headers = new Headers(response.headers);
+    headers.set(OFFLINE_HEADER, '1');
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers: headers });
+}
+
+function offlineResponse(message) {
+    return new Response(JSON.stringify({ error: message }), { status: 503, headers: { 'Content-Type': 'application/json', [OFFLINE_HEADER]: '1' } });
+}
+
+// Successful responses refresh the cache (keeping at most maxEntries, oldest out first); network errors fall back to it
+async function networkFirst(request, cacheName, cacheKey = null, maxEntries = 0) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(cacheKey || request, response.clone());
+            if (maxEntries) {
+                // put() replaces an existing entry at the end, so keys() runs from least to most recently fetched
+                const keys = await cache.keys();
+                await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+            }
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(cacheKey || request);
+        if (cached) return markOffline(cached);
+        return offlineResponse('Geen verbinding, en dit onderdeel is nog niet offline beschikbaar.');
+    }
+}
+
+// For responses that never change under the same URL; keeps at most maxEntries, oldest out first
+async function cacheFirst(request, cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+        const keys = await cache.keys();
+        await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+    }
+    return response;
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const refresh = fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+        return response;
+    });
+    if (cached) {
+        refresh.catch(() => {});
+        return cached;
+    }
+    return refresh;
+}
+
+// Downloads always try the network (so they are logged and current); pinned files are the offline fallback.
+// A full download of a pinned file also refreshes the pinned copy.
+async function fetchDownload(request) {
+    const cache = await caches.open(PINNED_CACHE);
+    const pinnedKey = new URL(request.url).pathname; // Pinned copies are stored without query string (?preview=1)
+    try {
+        const response = await fetch(request);
+        if (response.status === 200 && !request.headers.has('range') && await cache.match(pinnedKey)) {
+            cache.put(pinnedKey, response.clone()).catch(() => {}); // Not awaited: the page shouldn't wait for the copy
+        }
+        return response;
+    } catch (error) {
+        const pinned = await cache.match(pinnedKey);
+        if (pinned) return markOffline(pinned);
+        return offlineResponse('Geen verbinding, en dit bestand is niet offline beschikbaar gemaakt.');
+    }
+}
+
+// --- Pinned Files ---
+// Stored under the same download URL the page links to
+function getPinnedKey(filePath) {
+    return `/download/${encodeURIComponent(filePath)}`;
+}
+
+async function pinFile(filePath) {
+    const response = await fetch(getPinnedKey(filePath));
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Downloaden mislukt (${response.status})`);
+    }
+    const size = Number(response.headers.get('content-length')) || null;
+    const cache = await caches.open(PINNED_CACHE);
+    await cache.put(getPinnedKey(filePath), response);
+    await putRecord('pinned', { path: filePath, name: filePath.split('/').pop(), size: size, pinned_at: new Date().toISOString() });
+}
+
+async function unpinFile(filePath) {
+    const cache = await caches.open(PINNED_CACHE);
+    await cache.delete(getPinnedKey(filePath));
+    await deleteRecord('pinned', filePath);
+}
+
+// --- Outbox ---
+// What the page gets to see of a queued operation (no file contents)
+function describeOperation(operation) {
+    return {
+        id: operation.id,
+        type: operation.type,
+        path: operation.type === 'upload' ? [operation.directory, operation.relative_path].filter(Boolean).join('/') : operation.path,
+        size: operation.type === 'upload' ? operation.file.size : new Blob([operation.content]).size,
+        user: operation.user,
+        state: operation.state,
+        error: operation.error || null,
+        conflict: !!operation.conflict,
+        created_at: operation.created_at
+    };
+}
+
+async function listOutbox() {
+    const operations = await getAll('outbox');
+    return operations.sort((a, b) => a.created_at.localeCompare(b.created_at)).map(describeOperation);
+}
+
+async function broadcast(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
+async function broadcastOutbox() {
+    await broadcast({ type: 'outbox', operations: await listOutbox() });
+}
+
+async function requestSync() {
+    // Without the Background Sync API the page asks for a replay when it comes back online
+    if (self.registration.sync) await self.registration.sync.register(SYNC_TAG).catch(() => {});
+}
+
+async function queueOperation(operation) {
+    const record = { ...operation, id: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`, state: 'pending', error: null, conflict: false, created_at: new Date().toISOString() };
+    await putRecord('outbox', record);
+    await requestSync();
+    await broadcastOutbox();
+    return describeOperation(record);
+}
+
+// Replays authenticate with the session cookie, so they carry the session's CSRF token like the page's own requests
+function sendOperation(operation, csrfToken) {
+    if (operation.type === 'upload') {
+        const params = new URLSearchParams();
+        if (operation.conflict_policy === 'overwrite') params.set('conflict', 'overwrite');
+        if (operation.duplicates) params.set('duplicates', operation.duplicates);
+        const formData = new FormData();
+        formData.append('files', operation.file, operation.relative_path);
+        return fetch(`/api/upload/${encodeURIComponent(operation.directory)}${params.toString() ? `?${params}` : ''}`, { method: 'POST', headers: { 'X-CSRF-Token': csrfToken }, body: formData });
+    }
+    const headers = { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken };
+    if (operation.etag) headers['If-Match'] = operation.etag; // An edit made offline must not silently overwrite a newer version
+    return fetch('/api/save', { method: 'POST', headers: headers, body: JSON.stringify({ filePath: operation.path, content: operation.content }) });
+}
+
+// Send pending operations in the order they were made. A network error rejects (so background sync retries later);
+// the server refusing an operation marks it failed so the user can retry or discard it.
+let replayInProgress = null;
+function replayOutbox() {
+    if (!replayInProgress) replayInProgress = runReplay().finally(() => { replayInProgress = null; });
+    return replayInProgress;
+}
+
+async function runReplay() {
+    const operations = (await getAll('outbox')).filter(operation => operation.state === 'pending').sort((a, b) => a.created_at.localeCompare(b.created_at));
+    if (operations.length === 0) return;
+
+    const meResponse = await fetch('/api/me', { cache: 'no-store' });
+    if (!meResponse.ok) return; // Logged out: the page asks again after the next login
+    const { user, csrf_token: csrfToken } = await meResponse.json();
+    const username = user.username;
+
+    for (const operation of operations) {
+        if (operation.user !== username) continue; // Queued by someone else on this device
+        const response = await sendOperation(operation, csrfToken);
+        const data = await response.json().catch(() => ({}));
+        if (response.status === 401) return;
+        if (response.ok) {
+            await deleteRecord('outbox', operation.id);
+            await broadcast({ type: 'replayed', operation: describeOperation(operation), message: data.message || null });
+        } else {
+            operation.state = 'failed';
+            operation.error = data.error || `HTTP-fout ${response.status}`;
+            operation.conflict = operation.type === 'save' && response.status === 409;
+            await putRecord('outbox', operation);
+        }
+        await broadcastOutbox();
+    }
+}
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) event.waitUntil(replayOutbox());
+});
+
+// Failed operations go back to pending; a save that conflicted is retried without its version check,
+// which overwrites the newer server copy (the server keeps that one as a version)
+async function retryOperation(id) {
+    const operation = await getRecord('outbox', id);
+    if (!operation) throw new Error('Deze bewerking staat niet meer in de wachtrij.');
+    if (operation.conflict) operation.etag = null;
+    operation.state = 'pending';
+    operation.error = null;
+    operation.conflict = false;
+    await putRecord('outbox', operation);
+    await broadcastOutbox();
+    replayOutbox().catch(() => requestSync());
+}
+
+// Logging out removes everything this device kept for the user
+async function clearUserData() {
+    await Promise.all([caches.delete(DATA_CACHE), caches.delete(PINNED_CACHE), caches.delete(THUMBNAIL_CACHE), clearStore('outbox'), clearStore('pinned')]);
+    await broadcastOutbox();
+}
+
+// --- Messages from the page ---
+// Every message gets one reply on the port it carried: the result, or { error }
+const MESSAGE_HANDLERS = {
+    queue: (message) => queueOperation(message.operation),
+    outbox: () => listOutbox(),
+    replay: () => { replayOutbox().catch(() => requestSync()); return listOutbox(); },
+    retry: (message) => retryOperation(message.id),
+    discard: async (message) => { await deleteRecord('outbox', message.id); await broadcastOutbox(); },
+    pinned: () => getAll('pinned'),
+    pin: (message) => pinFile(message.path),
+    unpin: (message) => unpinFile(message.path),
+    clear: () => clearUserData()
+};
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+    const port = event.ports[0];
+    const handler = MESSAGE_HANDLERS[message.type];
+    const work = handler
+        ? Promise.resolve().then(() => handler(message)).then(result => port && port.postMessage({ result: result === undefined ? null : result }))
+        : Promise.resolve(port && port.postMessage({ error: `Onbekend bericht: ${message.type}` }));
+    event.waitUntil(work.catch(error => port && port.postMessage({ error: error.message })));
+});
@@ -8,18 +8,93 @@ const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const QRCode = require('qrcode');
 const cors = require('cors');
+const archiver = require('archiver');
+const chokidar = require('chokidar');
+const tar = require('tar-stream');
+const yauzl = require('yauzl');
+const sharp = require('sharp');
+const exifr = require('exifr');
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const hljs = require('highlight.js');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+const { promisify } = require('util');
+const { pipeline, Transform } = require('stream');
+
+const scryptAsync = promisify(crypto.scrypt);
+const pipelineAsync = promisify(pipeline);
 
 // --- Configuration ---
 const PORT = process.env.PORT || 5000;
-const SHARE_DURATION_HOURS = 1; // Share expiry time
+const DEFAULT_SHARE_DURATION_HOURS = parseFloat(process.env.SHARE_DURATION_HOURS) || 1; // Share expiry time when none is requested
+const SHARE_SWEEP_INTERVAL_MINUTES = 5; // How often expired share links are purged
+const DEFAULT_FILE_REQUEST_DURATION_HOURS = parseFloat(process.env.FILE_REQUEST_DURATION_HOURS) || 168; // File request expiry when none is requested
+const TRASH_RETENTION_DAYS = parseFloat(process.env.TRASH_RETENTION_DAYS ?? 30) || 0; // 0 = keep deleted items forever
+const TRASH_SWEEP_INTERVAL_MINUTES = 60; // How often old trash items are purged
+const TRASH_FOLDER_NAME = '.kimmeldrive_trash'; // Hidden folder in the storage root holding deleted items
+const UPLOADS_FOLDER_NAME = '.kimmeldrive_uploads'; // Hidden folder in the storage root holding partial chunked uploads
+const UPLOAD_SESSION_TTL_HOURS = parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS) || 24; // Abandoned partial uploads are removed after this long without activity
+const UPLOAD_SWEEP_INTERVAL_MINUTES = 30; // How often abandoned uploads are cleaned up
+const VERSIONS_FOLDER_NAME = '.kimmeldrive_versions'; // Hidden folder in the storage root holding previous file versions
+const MAX_VERSIONS_PER_FILE = parseInt(process.env.MAX_VERSIONS_PER_FILE, 10) || 20; // Oldest versions beyond this are removed
+const DAV_PREFIX = '/dav'; // WebDAV mount point (e.g. http://<host>:<port>/dav/)
+const DAV_MAX_LOCK_SECONDS = 3600; // Longest lock timeout a WebDAV client can ask for
+const DAV_AUTH_CACHE_MINUTES = 5; // Verified Basic-auth credentials are remembered this long (scrypt is slow on every request)
+const DAV_RANGED_WRITE_IDLE_MINUTES = 10; // Ranged PUTs to a file closer together than this count as one overwrite (one version)
+const CHANGE_DEBOUNCE_MS = 300; // Bursts of file system events for one path are merged into one notification
+const EVENTS_HEARTBEAT_SECONDS = 25; // Keeps idle event streams open through proxies
+const EXTRACT_MAX_BYTES = (parseFloat(process.env.EXTRACT_MAX_SIZE_MB) || 2048) * 1024 * 1024; // Total uncompressed size one archive may unpack to
+const EXTRACT_MAX_ENTRIES = parseInt(process.env.EXTRACT_MAX_ENTRIES, 10) || 10000; // Files and folders one archive may contain
+const MAX_UPLOAD_BYTES = (parseFloat(process.env.MAX_UPLOAD_SIZE_MB) || 0) * 1024 * 1024; // Largest single upload; 0 = no limit besides quotas and free space
+const MIN_FREE_DISK_BYTES = (parseFloat(process.env.MIN_FREE_DISK_MB ?? 100) || 0) * 1024 * 1024; // Writes that would leave less free space on the volume are refused
+const INTERNAL_USAGE_CACHE_MINUTES = 5; // How long the measured size of trash, versions and partial uploads is reused
+const AUDIT_ROTATE_BYTES = (parseFloat(process.env.AUDIT_ROTATE_SIZE_MB ?? 10) || 0) * 1024 * 1024; // The audit log starts a new file beyond this size; 0 = never
+const AUDIT_KEEP_FILES = parseInt(process.env.AUDIT_KEEP_FILES ?? 10, 10) || 0; // Rotated audit logs kept; 0 = keep all
+const AUDIT_DEFAULT_LIMIT = 200; // Entries returned by an audit query without ?limit
+const AUDIT_MAX_LIMIT = 5000;
+const THUMBNAIL_SIZE = parseInt(process.env.THUMBNAIL_SIZE, 10) || 256; // Longest side of list thumbnails, in pixels
+const THUMBNAIL_MAX_SOURCE_BYTES = (parseFloat(process.env.THUMBNAIL_MAX_SOURCE_MB) || 64) * 1024 * 1024; // Larger images get no thumbnail
+const THUMBNAIL_CACHE_DAYS = parseFloat(process.env.THUMBNAIL_CACHE_DAYS) || 30; // Cached thumbnails nobody asked for this long are removed
+const THUMBNAIL_SWEEP_INTERVAL_MINUTES = 360;
+const PREVIEW_MAX_TEXT_BYTES = 1024 * 1024; // Text, Markdown, CSV and code previews show at most this much of a file
+const PREVIEW_MAX_CSV_ROWS = 2000;
+const RATE_LIMIT_UPLOADS_PER_MINUTE = parseInt(process.env.RATE_LIMIT_UPLOADS_PER_MINUTE, 10) || 600; // Upload requests per account (or visitor IP); folder uploads send one per file
+const RATE_LIMIT_SHARES_PER_MINUTE = parseInt(process.env.RATE_LIMIT_SHARES_PER_MINUTE, 10) || 30; // New share links and file requests per account
+const RATE_LIMIT_LINK_FAILURES = parseInt(process.env.RATE_LIMIT_LINK_FAILURES, 10) || 20; // Unknown link IDs and wrong link passwords per IP and window
+const RATE_LIMIT_LINK_WINDOW_MINUTES = 15;
+const RATE_LIMIT_LOGIN_FAILURES = parseInt(process.env.RATE_LIMIT_LOGIN_FAILURES, 10) || 10; // Wrong passwords (login page and WebDAV) per IP and window
+const RATE_LIMIT_LOGIN_WINDOW_MINUTES = 15;
+const CSRF_HEADER = 'X-CSRF-Token';
+const SESSION_DURATION_DAYS = parseFloat(process.env.SESSION_DURATION_DAYS) || 7; // Login session lifetime
+const SESSION_COOKIE_NAME = 'kd_session';
+const HOME_FOLDER_NAME = 'home'; // Per-user home folders live in <STORAGE_PATH>/home/<username>
+const SHARED_FOLDER_NAME = 'shared'; // Folders that can be mounted for several users live in <STORAGE_PATH>/shared/<name>
+
+// --- Config File (written by "npm run setup", see setup.js) ---
+// { storage_path, admin_username?, admin_password_hash?, drives: [{ name, path, read_only?, max_upload_mb?, sharing?, users? }],
+//   symlink_policy?, cors_origins?: [origin], trust_proxy? }
+// Environment variables (and .env) still win over it, so existing installs keep working unchanged.
+const CONFIG_FILE = path.resolve(process.env.CONFIG_FILE || path.join(__dirname, 'kimmeldrive.config.json'));
+let serverConfig = {};
+try {
+    if (fs.pathExistsSync(CONFIG_FILE)) {
+        serverConfig = fs.readJsonSync(CONFIG_FILE);
+        console.log(`Using config file: ${CONFIG_FILE}`);
+    }
+} catch (err) {
+    console.error(`\nFATAL ERROR: Could not read the config file ${CONFIG_FILE}.`);
+    console.error("\nUnderlying Error Details:", err);
+    process.exit(1);
+}
 
-// --- Get Storage Path from Environment Variable ---
-const UPLOAD_FOLDER_ROOT = process.env.STORAGE_PATH; // Read from .env file
+// --- Get Storage Path from the Environment or the Config File ---
+const UPLOAD_FOLDER_ROOT = process.env.STORAGE_PATH || serverConfig.storage_path;
 
 if (!UPLOAD_FOLDER_ROOT) {
-    console.error("\nFATAL ERROR: STORAGE_PATH is not defined in the .env file.");
-    console.error("Setup might be incomplete or the .env file is missing/corrupted.");
-    console.error("Try running setup again by deleting the '.setup_complete' file and running 'npm start'.");
+    console.error("\nFATAL ERROR: No storage path configured (STORAGE_PATH or \"storage_path\" in the config file).");
+    console.error("Run setup first, e.g.: npm run setup -- --storage /srv/kimmeldrive");
     process.exit(1); // Exit if path is missing
 }
 
@@ -39,533 +114,5742 @@ try {
     process.exit(1);
 }
 
+// --- Drives (extra storage roots from the config file) ---
+// Each drive is mounted as a top-level folder in the view of every user it is open to (all users when "users" is left out).
+// Homes, shared folders, the recycle bin, versions and partial uploads always stay in the storage root.
+const DRIVE_STORAGE_PREFIX = 'drive:'; // Storage paths (see toStoragePath) of drive items look like "drive:<name>/<path>"
+
+function loadDrives(driveConfigs) {
+    if (!Array.isArray(driveConfigs)) throw new Error('"drives" must be a list.');
+    const drives = [];
+    for (const config of driveConfigs) {
+        const name = String(config.name || '').trim();
+        // Drive names become the first segment of paths, so they follow the rules of mkdir
+        if (!name || name !== name.replace(/[/\\?%*:|"<>]/g, '_') || name === '.' || name === '..') {
+            throw new Error(`Invalid drive name "${config.name}".`);
+        }
+        if (drives.some(drive => drive.name === name)) throw new Error(`Drive "${name}" is configured twice.`);
+        if (!config.path) throw new Error(`Drive "${name}" has no path.`);
+        const drivePath = path.resolve(String(config.path));
+        const overlapping = [{ name: 'the storage root', path: RESOLVED_UPLOAD_FOLDER_ROOT }, ...drives]
+            .find(other => drivePath === other.path || drivePath.startsWith(other.path + path.sep) || other.path.startsWith(drivePath + path.sep));
+        if (overlapping) throw new Error(`Drive "${name}" (${drivePath}) overlaps with ${overlapping.name === 'the storage root' ? overlapping.name : `drive "${overlapping.name}"`}.`);
+        const maxUploadMb = Number(config.max_upload_mb || 0);
+        if (!(maxUploadMb >= 0)) throw new Error(`Drive "${name}": max_upload_mb must be a number of megabytes (0 = no limit).`);
+        if (config.users !== undefined && !Array.isArray(config.users)) throw new Error(`Drive "${name}": users must be a list of usernames.`);
+        drives.push({
+            name: name,
+            path: drivePath,
+            read_only: config.read_only === true,
+            max_upload_bytes: Math.round(maxUploadMb * 1024 * 1024), // 0 = only the server-wide limit
+            sharing: config.sharing !== false,
+            users: config.users ? config.users.map(String) : null // null = every account
+        });
+    }
+    return drives;
+}
+
+let DRIVES;
+try {
+    DRIVES = loadDrives(serverConfig.drives || []);
+} catch (err) {
+    console.error(`\nFATAL ERROR: Invalid drive configuration in ${CONFIG_FILE}: ${err.message}`);
+    process.exit(1);
+}
+DRIVES.forEach(drive => {
+    const flags = [drive.read_only ? 'read-only' : 'read/write', drive.sharing ? 'sharing allowed' : 'no sharing'];
+    if (drive.max_upload_bytes) flags.push(`uploads up to ${drive.max_upload_bytes} bytes`);
+    if (drive.users) flags.push(`users: ${drive.users.join(', ') || 'admins only'}`);
+    // A drive on a disk that isn't mounted right now stays configured; it just can't be opened until it is back
+    const available = fs.pathExistsSync(drive.path);
+    console.log(`Drive "${drive.name}": ${drive.path} (${flags.join(', ')})${available ? '' : ' - NOT AVAILABLE'}`);
+});
+
+// --- Security Settings (symlink policy, CORS allowlist, proxies) ---
+// How symlinks inside the storage are treated (see getRealPathProblem):
+//   contain - followed only while their target stays inside the folder the user is confined to (default)
+//   deny    - never followed
+//   follow  - followed anywhere on the host (the behaviour before this setting existed)
+const SYMLINK_POLICIES = ['contain', 'deny', 'follow'];
+const SYMLINK_POLICY = process.env.SYMLINK_POLICY || serverConfig.symlink_policy || 'contain';
+if (!SYMLINK_POLICIES.includes(SYMLINK_POLICY)) {
+    console.error(`\nFATAL ERROR: Unknown symlink policy "${SYMLINK_POLICY}". Use one of: ${SYMLINK_POLICIES.join(', ')}.`);
+    process.exit(1);
+}
+console.log(`Symlink policy: ${SYMLINK_POLICY}`);
+
+// Web pages on other origins that may call the API from a browser (e.g. "https://intranet.example.com").
+// Without any, only the app itself can; the CLI and WebDAV clients are not affected.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS !== undefined ? process.env.CORS_ORIGINS.split(',') : (serverConfig.cors_origins || []))
+    .map(origin => String(origin).trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+if (CORS_ORIGINS.length > 0) console.log(`Cross-origin requests allowed from: ${CORS_ORIGINS.join(', ')}`);
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "1" for one proxy hop, or "loopback") so rate limits and the audit log
+// see the visitor's address instead of the proxy's, and secure cookies are used over https
+const TRUST_PROXY = process.env.TRUST_PROXY ?? serverConfig.trust_proxy ?? false;
+
+const HOMES_ROOT = path.join(RESOLVED_UPLOAD_FOLDER_ROOT, HOME_FOLDER_NAME);
+const SHARED_ROOT = path.join(RESOLVED_UPLOAD_FOLDER_ROOT, SHARED_FOLDER_NAME);
+const TRASH_ROOT = path.join(RESOLVED_UPLOAD_FOLDER_ROOT, TRASH_FOLDER_NAME);
+const UPLOADS_ROOT = path.join(RESOLVED_UPLOAD_FOLDER_ROOT, UPLOADS_FOLDER_NAME);
+const VERSIONS_ROOT = path.join(RESOLVED_UPLOAD_FOLDER_ROOT, VERSIONS_FOLDER_NAME);
+// Hidden server-managed folders inside the storage root: never listed and never reachable through getSafePath
+const INTERNAL_FOLDERS = [TRASH_ROOT, UPLOADS_ROOT, VERSIONS_ROOT];
+
+function isInternalPath(fullPath) {
+    return INTERNAL_FOLDERS.some(folder => fullPath === folder || fullPath.startsWith(folder + path.sep));
+}
+
+// --- Data Directory (server state such as accounts and sessions) ---
+// Kept outside the storage root by default so users can never browse or download it.
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const SHARES_FILE = path.join(DATA_DIR, 'shares.json');
+const FILE_REQUESTS_FILE = path.join(DATA_DIR, 'file_requests.json');
+const SECRET_FILE = path.join(DATA_DIR, 'secret.key');
+const TRASH_FILE = path.join(DATA_DIR, 'trash.json');
+const UPLOADS_FILE = path.join(DATA_DIR, 'uploads.json');
+const VERSIONS_FILE = path.join(DATA_DIR, 'versions.json');
+const QUOTAS_FILE = path.join(DATA_DIR, 'quotas.json');
+const HASHES_FILE = path.join(DATA_DIR, 'hashes.json');
+const THUMBNAILS_DIR = path.join(DATA_DIR, 'thumbnails');
+
+try {
+    fs.ensureDirSync(DATA_DIR);
+    fs.ensureDirSync(THUMBNAILS_DIR);
+    fs.ensureDirSync(HOMES_ROOT);
+    fs.ensureDirSync(SHARED_ROOT);
+    fs.ensureDirSync(TRASH_ROOT);
+    fs.ensureDirSync(UPLOADS_ROOT);
+    fs.ensureDirSync(VERSIONS_ROOT);
+    console.log(`Data directory ensured at: ${DATA_DIR}`);
+} catch (err) {
+    console.error(`\nFATAL ERROR: Could not create the data, home or shared directories.`);
+    console.error("\nUnderlying Error Details:", err);
+    process.exit(1);
+}
+if (DATA_DIR === RESOLVED_UPLOAD_FOLDER_ROOT || DATA_DIR.startsWith(RESOLVED_UPLOAD_FOLDER_ROOT + path.sep)) {
+    console.warn(`WARNING: DATA_DIR (${DATA_DIR}) is inside the storage root. Admins will be able to browse account data!`);
+}
+
+// Random key used to sign cookies, generated on first start
+let SERVER_SECRET;
+try {
+    if (!fs.pathExistsSync(SECRET_FILE)) {
+        fs.writeFileSync(SECRET_FILE, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+    }
+    SERVER_SECRET = fs.readFileSync(SECRET_FILE, 'utf8').trim();
+} catch (err) {
+    console.error(`\nFATAL ERROR: Could not read or create the server secret at ${SECRET_FILE}.`);
+    console.error("\nUnderlying Error Details:", err);
+    process.exit(1);
+}
+
+// Write JSON via a temp file + rename so a crash mid-write never leaves a truncated file behind
+async function writeJsonAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeJson(tempPath, data, { spaces: 2 });
+    await fs.move(tempPath, filePath, { overwrite: true });
+}
+
 // --- Initialize Express App ---
 const app = express();
+// TRUST_PROXY: "true"/"false", a number of proxy hops, or addresses and subnets as express understands them
+function parseTrustProxy(value) {
+    if (value === true || value === 'true') return true;
+    if (!value || value === 'false') return false;
+    return /^\d+$/.test(String(value)) ? Number(value) : value;
+}
+app.set('trust proxy', parseTrustProxy(TRUST_PROXY));
+app.disable('x-powered-by');
 
-// --- In-Memory Storage for Share Links ---
-// WARNING: Lost on server restart! Use a file or DB for persistence.
-let shareLinks = {}; // { "share_id": { path: "relative/path/file.txt", created_at: Date_object } }
+// --- Share Links (persisted in DATA_DIR, reloaded at startup) ---
+// { "share_id": { path, owner, is_dir, created_at, expires_at (ISO string or null = never), password_hash, max_downloads, download_count, last_accessed_at } }
+let shareLinks = fs.readJsonSync(SHARES_FILE, { throws: false }) || {};
 
-// --- Middleware ---
-app.use(cors());
-app.use(express.json()); // Parse JSON request bodies up to default limit
-app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
-// Serve static files (index.html) from 'public' directory
-app.use(express.static(path.join(__dirname, 'public')));
+function saveShareLinks() {
+    return writeJsonAtomic(SHARES_FILE, shareLinks).catch(err => console.error("Error saving share links file:", err));
+}
 
-// --- Helper Function for Path Safety ---
-function getSafePath(relativePathSuffix = '') {
-    try {
-        const decodedSuffix = decodeURIComponent(relativePathSuffix);
-        // Resolve relative to the already resolved root path
-        const absoluteTargetPath = path.resolve(RESOLVED_UPLOAD_FOLDER_ROOT, decodedSuffix);
-
-        // Security Check: Ensure the resolved path is still within the root folder
-        // Handle edge case where the path *is* the root folder correctly
-        if (!absoluteTargetPath.startsWith(RESOLVED_UPLOAD_FOLDER_ROOT + path.sep) && absoluteTargetPath !== RESOLVED_UPLOAD_FOLDER_ROOT) {
-             console.warn(`UNSAFE PATH DETECTED: ${relativePathSuffix} -> ${absoluteTargetPath} (Base: ${RESOLVED_UPLOAD_FOLDER_ROOT})`);
-             return null; // Indicate unsafe path
-         }
-        return absoluteTargetPath;
-    } catch (e) {
-        // Catch potential decoding errors
-        console.error(`Error resolving path for suffix "${relativePathSuffix}":`, e);
-        return null;
+function findShareLink(shareId) {
+    return Object.prototype.hasOwnProperty.call(shareLinks, shareId) ? shareLinks[shareId] : null;
+}
+
+// Returns why a link can no longer be used ('expired' / 'exhausted'), or null if it is still valid
+function getShareLinkProblem(link) {
+    if (link.expires_at && new Date() > new Date(link.expires_at)) return 'expired';
+    if (link.max_downloads && (link.download_count || 0) >= link.max_downloads) return 'exhausted';
+    return null;
+}
+
+function getShareUrl(req, shareId) {
+    return `${req.protocol}://${req.get('host')}/share/${shareId}`;
+}
+
+// Share info as returned to the client (no password hash)
+function publicShareLink(req, shareId) {
+    const link = shareLinks[shareId];
+    return {
+        share_id: shareId,
+        share_url: getShareUrl(req, shareId),
+        path: link.path,
+        owner: link.owner,
+        is_dir: !!link.is_dir,
+        created_at: link.created_at,
+        expires_at: link.expires_at,
+        has_password: !!link.password_hash,
+        max_downloads: link.max_downloads,
+        download_count: link.download_count || 0,
+        last_accessed_at: link.last_accessed_at
+    };
+}
+
+// Periodically remove links that expired or used up their downloads
+function sweepShareLinks() {
+    let removed = 0;
+    Object.keys(shareLinks).forEach(id => {
+        const problem = getShareLinkProblem(shareLinks[id]);
+        if (problem) {
+            console.log(`Sweeper removing share link ${id} (${problem})`);
+            delete shareLinks[id];
+            removed++;
+        }
+    });
+    if (removed > 0) saveShareLinks();
+}
+sweepShareLinks();
+setInterval(sweepShareLinks, SHARE_SWEEP_INTERVAL_MINUTES * 60 * 1000).unref();
+
+// --- File Requests (upload-only links, persisted in DATA_DIR) ---
+// Visitors of /request/<id> can upload into the target folder, each submission in a new subfolder, but never see what is there.
+// { "request_id": { path (target folder in the owner's view), owner, title, created_at, expires_at (ISO string or null = never), password_hash,
+//   max_file_size (bytes or null), allowed_extensions ([] = any), max_files (over all submissions, null = unlimited), file_count, submission_count, last_submission_at } }
+let fileRequests = fs.readJsonSync(FILE_REQUESTS_FILE, { throws: false }) || {};
+
+function saveFileRequests() {
+    return writeJsonAtomic(FILE_REQUESTS_FILE, fileRequests).catch(err => console.error("Error saving file requests file:", err));
+}
+
+function findFileRequest(requestId) {
+    return Object.prototype.hasOwnProperty.call(fileRequests, requestId) ? fileRequests[requestId] : null;
+}
+
+// Returns why a file request can no longer be used ('expired' / 'full'), or null if it is still open
+function getFileRequestProblem(link) {
+    if (link.expires_at && new Date() > new Date(link.expires_at)) return 'expired';
+    if (link.max_files && (link.file_count || 0) >= link.max_files) return 'full';
+    return null;
+}
+
+function getFileRequestUrl(req, requestId) {
+    return `${req.protocol}://${req.get('host')}/request/${requestId}`;
+}
+
+// File request info as returned to the client (no password hash)
+function publicFileRequest(req, requestId) {
+    const link = fileRequests[requestId];
+    return {
+        request_id: requestId,
+        request_url: getFileRequestUrl(req, requestId),
+        path: link.path,
+        owner: link.owner,
+        title: link.title,
+        created_at: link.created_at,
+        expires_at: link.expires_at,
+        has_password: !!link.password_hash,
+        max_file_size: link.max_file_size,
+        allowed_extensions: link.allowed_extensions,
+        max_files: link.max_files,
+        file_count: link.file_count || 0,
+        submission_count: link.submission_count || 0,
+        last_submission_at: link.last_submission_at
+    };
+}
+
+function sweepFileRequests() {
+    let removed = 0;
+    Object.keys(fileRequests).forEach(id => {
+        const problem = getFileRequestProblem(fileRequests[id]);
+        if (problem) {
+            console.log(`Sweeper removing file request ${id} (${problem})`);
+            delete fileRequests[id];
+            removed++;
+        }
+    });
+    if (removed > 0) saveFileRequests();
+}
+sweepFileRequests();
+setInterval(sweepFileRequests, SHARE_SWEEP_INTERVAL_MINUTES * 60 * 1000).unref();
+
+// --- Recycle Bin (metadata in DATA_DIR, trashed data in a hidden folder of the storage root) ---
+// { "trash_id": { name, original_path (in the owner's view), storage_path (relative to the storage root), owner, is_dir, deleted_at } }
+let trashItems = fs.readJsonSync(TRASH_FILE, { throws: false }) || {};
+
+function saveTrashItems() {
+    return writeJsonAtomic(TRASH_FILE, trashItems).catch(err => console.error("Error saving trash file:", err));
+}
+
+function findTrashItem(trashId) {
+    return Object.prototype.hasOwnProperty.call(trashItems, trashId) ? trashItems[trashId] : null;
+}
+
+function canAccessTrashItem(user, trashItem) {
+    return user.role === 'admin' || trashItem.owner === user.username;
+}
+
+function publicTrashItem(trashId) {
+    const item = trashItems[trashId];
+    return {
+        trash_id: trashId,
+        name: item.name,
+        original_path: item.original_path,
+        owner: item.owner,
+        is_dir: item.is_dir,
+        deleted_at: item.deleted_at
+    };
+}
+
+// Move an item into the trash instead of deleting it. Same filesystem as the storage root, so this is a rename (items on drives are copied over).
+async function moveToTrash(user, fullPath, originalPath, storagePath = toStoragePath(fullPath)) {
+    const trashId = uuidv4();
+    const stats = await fs.stat(fullPath);
+    await fs.move(fullPath, path.join(TRASH_ROOT, trashId));
+    removeFromSearchIndex(fullPath);
+    trashItems[trashId] = {
+        name: path.basename(fullPath),
+        original_path: originalPath,
+        storage_path: storagePath,
+        owner: user.username,
+        is_dir: stats.isDirectory(),
+        deleted_at: new Date().toISOString()
+    };
+    await saveTrashItems();
+    console.log(`Moved to trash: ${fullPath} -> ${trashId} (User: ${user.username})`);
+    return trashId;
+}
+
+// Caller saves the metadata afterwards
+async function purgeTrashItem(trashId) {
+    await fs.remove(path.join(TRASH_ROOT, trashId));
+    await removeOrphanedFileVersions(trashItems[trashId].storage_path);
+    await saveFileVersions();
+    delete trashItems[trashId];
+    console.log(`Permanently deleted trash item: ${trashId}`);
+}
+
+// Periodically purge items older than the retention period (0 = keep forever)
+async function sweepTrash() {
+    if (TRASH_RETENTION_DAYS <= 0) return;
+    const cutoff = Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const expiredIds = Object.keys(trashItems).filter(id => new Date(trashItems[id].deleted_at).getTime() < cutoff);
+    for (const id of expiredIds) {
+        try {
+            await purgeTrashItem(id);
+        } catch (err) {
+            console.error(`Error purging trash item ${id}:`, err);
+        }
     }
+    if (expiredIds.length > 0) await saveTrashItems();
 }
+sweepTrash();
+setInterval(sweepTrash, TRASH_SWEEP_INTERVAL_MINUTES * 60 * 1000).unref();
 
+// --- Upload Sessions for resumable uploads (metadata in DATA_DIR, partial data in UPLOADS_ROOT) ---
+// { "upload_id": { owner, path (target folder), filename, size, offset, sha256, fingerprint, conflict, duplicates, created_at, updated_at } }
+let uploadSessions = fs.readJsonSync(UPLOADS_FILE, { throws: false }) || {};
 
-// --- Multer Configuration for File Uploads ---
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        const subpath = req.params.subpath || '';
-        const targetDir = getSafePath(subpath); // Validate and resolve path
+function saveUploadSessions() {
+    // "busy" is runtime-only state
+    const persisted = {};
+    Object.keys(uploadSessions).forEach(id => {
+        const { busy, ...session } = uploadSessions[id];
+        persisted[id] = session;
+    });
+    return writeJsonAtomic(UPLOADS_FILE, persisted).catch(err => console.error("Error saving upload sessions file:", err));
+}
 
-        if (!targetDir) {
-             console.error(`Multer destination error: Invalid safe path for subpath "${subpath}"`);
-             return cb(new Error('Invalid upload directory specified (path safety check failed)'), null);
+// Remove uploads nobody touched for a while, plus stray part files without a session
+async function sweepUploadSessions() {
+    const cutoff = Date.now() - UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000;
+    let removed = 0;
+    for (const id of Object.keys(uploadSessions)) {
+        const session = uploadSessions[id];
+        if (!session.busy && new Date(session.updated_at).getTime() < cutoff) {
+            console.log(`Removing abandoned upload ${id} (${session.filename}, ${session.offset}/${session.size} bytes)`);
+            await fs.remove(path.join(UPLOADS_ROOT, `${id}.part`)).catch(err => console.error(`Error removing partial upload ${id}:`, err));
+            delete uploadSessions[id];
+            removed++;
         }
-        // Use ensureDir to handle creation robustly
-        fs.ensureDir(targetDir, err => {
-            if (err) {
-                console.error(`Multer failed to ensure directory ${targetDir}:`, err);
-                return cb(new Error(`Failed to create target directory: ${err.message}`), null);
-            }
-            // console.log(`Multer ensured destination directory: ${targetDir}`); // Optional logging
-            cb(null, targetDir); // Set the destination directory
-        });
-    },
-    filename: function (req, file, cb) {
-        // Use the original filename, but sanitize it slightly (basic)
-        const safeName = file.originalname.replace(/[/\\?%*:|"<>]/g, '_'); // Remove illegal chars
-        const parentDir = getSafePath(req.params.subpath || '');
-        if (!parentDir) { return cb(new Error("Cannot determine safe parent directory for filename check")); }
-
-        const potentialPath = path.join(parentDir, safeName);
-
-        // Basic collision avoidance: Check if file exists, add timestamp if it does
-        fs.pathExists(potentialPath, (err, exists) => {
-            if (err) { console.error("Error checking file existence:", err); return cb(err); }
-            if (exists) {
-                const timestamp = Date.now();
-                const ext = path.extname(safeName);
-                const base = path.basename(safeName, ext);
-                const newName = `${base}_${timestamp}${ext}`;
-                console.warn(`Filename collision: Renaming "${safeName}" to "${newName}"`);
-                cb(null, newName);
-            } else {
-                cb(null, safeName);
+    }
+    if (removed > 0) await saveUploadSessions();
+
+    const partFiles = await fs.readdir(UPLOADS_ROOT).catch(() => []);
+    for (const file of partFiles) {
+        const filePath = path.join(UPLOADS_ROOT, file);
+        if (file.endsWith('.part')) {
+            if (!Object.prototype.hasOwnProperty.call(uploadSessions, path.basename(file, '.part'))) {
+                await fs.remove(filePath).catch(() => {});
             }
-        });
+        } else {
+            // Temporary files of other writers (form uploads, WebDAV PUT, archive extraction) are left alone until they are as old as an abandoned session
+            const stats = await fs.stat(filePath).catch(() => null);
+            if (stats && stats.mtimeMs < cutoff) await fs.remove(filePath).catch(() => {});
+        }
     }
-});
+}
+sweepUploadSessions();
+setInterval(sweepUploadSessions, UPLOAD_SWEEP_INTERVAL_MINUTES * 60 * 1000).unref();
 
-const upload = multer({
-    storage: storage,
-    // limits: { fileSize: 500 * 1024 * 1024 }, // Optional: 500 MB limit
-});
+// --- File Versions (metadata in DATA_DIR, old contents in VERSIONS_ROOT) ---
+// { "version_id": { storage_path (file path relative to the storage root), size, created_at, saved_by, reason } }
+let fileVersions = fs.readJsonSync(VERSIONS_FILE, { throws: false }) || {};
 
+function saveFileVersions() {
+    return writeJsonAtomic(VERSIONS_FILE, fileVersions).catch(err => console.error("Error saving versions file:", err));
+}
 
-// --- API Routes ---
+function findFileVersion(versionId) {
+    return Object.prototype.hasOwnProperty.call(fileVersions, versionId) ? fileVersions[versionId] : null;
+}
 
-// Browse files and folders
-app.get('/api/browse/:subpath(*)?', async (req, res) => {
-    const subpath = req.params.subpath || '';
-    const currentPath = getSafePath(subpath);
+// Paths in server state (trash, versions, quotas, audit log) are relative to the storage root, or "drive:<name>/..." on a drive
+function toStoragePath(fullPath) {
+    const drive = getDriveOf(fullPath);
+    if (drive) {
+        return [`${DRIVE_STORAGE_PREFIX}${drive.name}`, ...path.relative(drive.path, fullPath).split(path.sep)].filter(Boolean).join('/');
+    }
+    return path.relative(RESOLVED_UPLOAD_FOLDER_ROOT, fullPath).split(path.sep).join('/');
+}
 
-    if (!currentPath || !await fs.pathExists(currentPath)) {
-         // Handle case where path doesn't exist (might happen after delete/move)
-         return res.status(404).json({ error: "Path not found", path: subpath });
+// The absolute path of a storage path, or null when it is invalid or its drive is no longer configured.
+// Like resolveInside this goes by the path string; before the file itself is used, see applySymlinkPolicy.
+function fromStoragePath(storagePath, logContext = '') {
+    if (storagePath.startsWith(DRIVE_STORAGE_PREFIX)) {
+        const [driveName, ...rest] = storagePath.slice(DRIVE_STORAGE_PREFIX.length).split('/');
+        const drive = DRIVES.find(candidate => candidate.name === driveName);
+        return drive ? resolveInside(drive.path, rest.join('/'), logContext) : null;
     }
-    if(!(await fs.stat(currentPath)).isDirectory()){
-        return res.status(400).json({ error: "Path is not a directory", path: subpath });
+    return resolveInside(RESOLVED_UPLOAD_FOLDER_ROOT, storagePath, logContext);
+}
+
+// Versions of one file, newest first
+function getFileVersionIds(storagePath) {
+    return Object.keys(fileVersions)
+        .filter(id => fileVersions[id].storage_path === storagePath)
+        .sort((a, b) => fileVersions[b].created_at.localeCompare(fileVersions[a].created_at));
+}
+
+function publicFileVersion(versionId) {
+    const version = fileVersions[versionId];
+    return {
+        version_id: versionId,
+        size: version.size,
+        created_at: version.created_at,
+        saved_by: version.saved_by,
+        reason: version.reason
+    };
+}
+
+// Copy the current contents of a file into the version store before it gets overwritten.
+// reason: 'save', 'upload', 'overwrite' (replaced by a move, copy or extraction) or 'restore'
+async function saveFileVersion(fullPath, user, reason) {
+    const versionId = uuidv4();
+    const stats = await fs.stat(fullPath);
+    await fs.copy(fullPath, path.join(VERSIONS_ROOT, versionId), { preserveTimestamps: true });
+    const storagePath = toStoragePath(fullPath);
+    fileVersions[versionId] = {
+        storage_path: storagePath,
+        size: stats.size,
+        created_at: new Date().toISOString(),
+        saved_by: user.username,
+        reason: reason
+    };
+    for (const oldId of getFileVersionIds(storagePath).slice(MAX_VERSIONS_PER_FILE)) {
+        await fs.remove(path.join(VERSIONS_ROOT, oldId)).catch(err => console.error(`Error removing old version ${oldId}:`, err));
+        delete fileVersions[oldId];
+    }
+    await saveFileVersions();
+    return versionId;
+}
+
+// Versions follow their file (or every file inside a folder) when it is moved
+async function moveFileVersions(oldFullPath, newFullPath) {
+    const oldPath = toStoragePath(oldFullPath);
+    const newPath = toStoragePath(newFullPath);
+    let moved = 0;
+    Object.values(fileVersions).forEach(version => {
+        if (version.storage_path === oldPath || version.storage_path.startsWith(`${oldPath}/`)) {
+            version.storage_path = newPath + version.storage_path.slice(oldPath.length);
+            moved++;
+        }
+    });
+    if (moved > 0) await saveFileVersions();
+}
+
+// Drop the versions of files that no longer exist at or below storagePath (after a permanent delete). Caller saves.
+async function removeOrphanedFileVersions(storagePath) {
+    for (const id of Object.keys(fileVersions)) {
+        const version = fileVersions[id];
+        if (version.storage_path !== storagePath && !version.storage_path.startsWith(`${storagePath}/`)) continue;
+        const fullPath = fromStoragePath(version.storage_path);
+        if (fullPath && await fs.pathExists(fullPath)) continue;
+        await fs.remove(path.join(VERSIONS_ROOT, id)).catch(err => console.error(`Error removing version ${id}:`, err));
+        delete fileVersions[id];
+    }
+}
+
+// --- Search Index (in memory; built in the background at startup and updated by the routes that write) ---
+const SEARCH_TEXT_EXTENSIONS = ['txt', 'md', 'js', 'json', 'html', 'css', 'xml', 'log', 'py', 'sh', 'bat', 'csv', 'yaml', 'yml', 'ini', 'cfg']; // Formats the editor opens
+const SEARCH_MAX_TEXT_BYTES = 1024 * 1024; // Larger text files are only matched by name
+const SEARCH_MAX_INDEXED_TEXT_BYTES = (parseFloat(process.env.SEARCH_INDEX_TEXT_MB) || 256) * 1024 * 1024; // Text kept in memory for all files together; the rest is read from disk while searching
+const SEARCH_MAX_RESULTS = 500;
+const SEARCH_SNIPPETS_PER_FILE = 3;
+const SEARCH_SNIPPET_LENGTH = 160;
+
+const searchIndex = new Map(); // full path -> { name, is_dir, size, mtime, inode, text, text_on_disk?, symlink? }
+const folderSizes = new Map(); // folder full path -> total size of the indexed files below it
+let searchIndexReady = false;
+let indexedTextLength = 0; // Characters of file text held by searchIndex
+
+// Add the size difference of a file to every folder above it, up to and including the storage root (or its drive's root)
+function adjustFolderSizes(fullPath, delta) {
+    if (delta === 0) return;
+    const root = getStorageRootOf(fullPath);
+    let folder = path.dirname(fullPath);
+    while (isSameOrInside(folder, root)) {
+        folderSizes.set(folder, (folderSizes.get(folder) || 0) + delta);
+        if (folder === root) break;
+        folder = path.dirname(folder);
     }
+}
 
+// All index writes go through these two, so the folder sizes stay in step with the index
+function setIndexEntry(fullPath, entry) {
+    const previous = searchIndex.get(fullPath);
+    searchIndex.set(fullPath, entry);
+    indexedTextLength += (entry.text ? entry.text.length : 0) - (previous && previous.text ? previous.text.length : 0);
+    adjustFolderSizes(fullPath, (entry.is_dir ? 0 : entry.size) - (previous && !previous.is_dir ? previous.size : 0));
+    if (!entry.is_dir && !getCachedHash(entry)) queueFileHash(fullPath);
+}
+
+function deleteIndexEntry(fullPath) {
+    const previous = searchIndex.get(fullPath);
+    if (!previous) return;
+    searchIndex.delete(fullPath);
+    if (previous.text) indexedTextLength -= previous.text.length;
+    if (!previous.is_dir) adjustFolderSizes(fullPath, -previous.size);
+}
 
+// Add a file or folder (recursively) to the index. Symlinked folders are indexed by name only, so link loops can't recurse forever.
+async function indexEntry(fullPath) {
+    if (isInternalPath(fullPath)) return;
+    let stats;
+    let isSymlink = false;
     try {
-        const dirents = await fs.readdir(currentPath, { withFileTypes: true });
-        const items = dirents.map(dirent => {
-            const itemName = dirent.name;
-            // Construct relative path for frontend links, ensure forward slashes
-            const itemRelativePath = path.join(subpath, itemName).replace(/\\/g, '/');
-            return {
-                name: itemName,
-                is_dir: dirent.isDirectory(),
-                path: itemRelativePath
-            };
+        stats = await fs.lstat(fullPath);
+        if (stats.isSymbolicLink()) {
+            isSymlink = true;
+            if (!await isAllowedEntry(fullPath, true, getStorageRootOf(fullPath))) throw new Error('Not followed by the symlink policy');
+            stats = await fs.stat(fullPath);
+        }
+    } catch (error) {
+        deleteIndexEntry(fullPath); // Vanished in the meantime, a broken link, or one the policy doesn't follow
+        return;
+    }
+    const entry = { name: path.basename(fullPath), is_dir: stats.isDirectory(), size: stats.size, mtime: stats.mtimeMs, inode: stats.ino, text: null };
+    if (isSymlink) entry.symlink = true; // Searches check these against the confinement of whoever searches
+    if (!entry.is_dir && stats.size <= SEARCH_MAX_TEXT_BYTES && SEARCH_TEXT_EXTENSIONS.includes(getExtension(entry.name))) {
+        const previous = searchIndex.get(fullPath);
+        const room = SEARCH_MAX_INDEXED_TEXT_BYTES - indexedTextLength + (previous && previous.text ? previous.text.length : 0);
+        if (stats.size <= room) entry.text = await fs.readFile(fullPath, 'utf8').catch(() => null);
+        else entry.text_on_disk = true; // Over the memory budget: searched by reading the file
+    }
+    setIndexEntry(fullPath, entry);
+    if (entry.is_dir && !isSymlink) {
+        const names = await fs.readdir(fullPath).catch(() => []);
+        for (const name of names) await indexEntry(path.join(fullPath, name));
+    }
+}
+
+function removeFromSearchIndex(fullPath) {
+    const prefix = fullPath + path.sep;
+    for (const key of searchIndex.keys()) {
+        if (key === fullPath || key.startsWith(prefix)) deleteIndexEntry(key);
+    }
+    for (const key of folderSizes.keys()) {
+        if (key === fullPath || key.startsWith(prefix)) folderSizes.delete(key);
+    }
+}
+
+// Re-index a path after it was created or changed. Folders created along the way (e.g. by folder uploads) are picked up too.
+// Never throws, so callers don't have to wait for it.
+async function updateSearchIndex(fullPath) {
+    try {
+        const root = getStorageRootOf(fullPath);
+        let target = fullPath;
+        while (searchIndexReady && path.dirname(target).startsWith(root + path.sep) && !searchIndex.has(path.dirname(target))) {
+            target = path.dirname(target);
+        }
+        removeFromSearchIndex(target); // Drops children of a replaced folder
+        await indexEntry(target);
+    } catch (error) {
+        console.error(`Error updating search index for ${fullPath}:`, error);
+    }
+}
+
+async function buildSearchIndex() {
+    const startedAt = Date.now();
+    const names = await fs.readdir(RESOLVED_UPLOAD_FOLDER_ROOT);
+    for (const name of names) await indexEntry(path.join(RESOLVED_UPLOAD_FOLDER_ROOT, name));
+    for (const drive of DRIVES) await indexEntry(drive.path);
+    searchIndexReady = true;
+    runHashWorker(); // Files queued while indexing
+    console.log(`Search index ready: ${searchIndex.size} item(s) in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+}
+
+// --- Content Hashes (SHA-256 cache in DATA_DIR, filled in the background from the search index) ---
+// { "inode": { size, mtime, sha256 } }. Keyed by inode so moves and renames keep their hash; an entry only
+// counts while size and mtime still match the file.
+const HASH_SAVE_DELAY_SECONDS = 5; // Hashes computed in a burst are written to disk together
+let fileHashes = fs.readJsonSync(HASHES_FILE, { throws: false }) || {};
+let hashSaveTimer = null;
+const hashQueue = new Set(); // Full paths waiting for the background hasher, in order
+let hashWorkerRunning = false;
+
+// Written after a quiet moment; entries of files that are gone are dropped then
+function scheduleHashSave() {
+    if (hashSaveTimer) return;
+    hashSaveTimer = setTimeout(() => {
+        hashSaveTimer = null;
+        if (searchIndexReady) {
+            const liveInodes = new Set();
+            for (const entry of searchIndex.values()) if (!entry.is_dir) liveInodes.add(String(entry.inode));
+            Object.keys(fileHashes).forEach(inode => { if (!liveInodes.has(inode)) delete fileHashes[inode]; });
+        }
+        writeJsonAtomic(HASHES_FILE, fileHashes).catch(err => console.error("Error saving hashes file:", err));
+    }, HASH_SAVE_DELAY_SECONDS * 1000);
+    hashSaveTimer.unref();
+}
+
+// The cached hash of a file given its stats (or index entry: { inode, size, mtime }), or null
+function getCachedHash({ inode, size, mtime }) {
+    const cached = fileHashes[inode];
+    return cached && cached.size === size && cached.mtime === mtime ? cached.sha256 : null;
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+// SHA-256 of a file, read from the cache or computed (and cached) now
+async function getFileHash(fullPath) {
+    const stats = await fs.stat(fullPath);
+    if (!stats.isFile()) throw Object.assign(new Error('Not a file'), { status: 400 });
+    const identity = { inode: stats.ino, size: stats.size, mtime: stats.mtimeMs };
+    const cached = getCachedHash(identity);
+    if (cached) return cached;
+    const sha256 = await hashFile(fullPath);
+    // Only cache what was read from an unchanged file
+    const after = await fs.stat(fullPath).catch(() => null);
+    if (after && after.size === stats.size && after.mtimeMs === stats.mtimeMs) {
+        fileHashes[stats.ino] = { size: stats.size, mtime: stats.mtimeMs, sha256: sha256 };
+        scheduleHashSave();
+    }
+    return sha256;
+}
+
+// Hash files in the background, one at a time
+function queueFileHash(fullPath) {
+    hashQueue.add(fullPath);
+    runHashWorker();
+}
+
+// Move files someone is waiting for (e.g. for a duplicate report) to the front of the queue
+function prioritizeFileHashes(fullPaths) {
+    const waiting = [...hashQueue];
+    hashQueue.clear();
+    [...fullPaths, ...waiting].forEach(fullPath => hashQueue.add(fullPath));
+    runHashWorker();
+}
+
+async function runHashWorker() {
+    if (hashWorkerRunning || !searchIndexReady) return; // Started again once the index is built
+    hashWorkerRunning = true;
+    const startedAt = Date.now();
+    let hashed = 0;
+    try {
+        while (hashQueue.size > 0) {
+            const fullPath = hashQueue.values().next().value;
+            hashQueue.delete(fullPath);
+            const entry = searchIndex.get(fullPath);
+            if (!entry || entry.is_dir || getCachedHash(entry)) continue;
+            await getFileHash(fullPath).catch(() => {}); // Vanished or unreadable: the index will catch up
+            hashed++;
+        }
+    } finally {
+        hashWorkerRunning = false;
+    }
+    if (hashed > 0) console.log(`Hashed ${hashed} file(s) in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+}
+
+// Another file in dir with the same contents as the given size and hash (e.g. an earlier upload), or null
+async function findIdenticalFile(dir, size, sha256, excludePath = null) {
+    const dirents = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    for (const dirent of dirents) {
+        const candidate = path.join(dir, dirent.name);
+        if (!dirent.isFile() || candidate === excludePath) continue;
+        const stats = await fs.stat(candidate).catch(() => null);
+        if (!stats || stats.size !== size) continue;
+        if (await getFileHash(candidate).catch(() => null) === sha256) return candidate;
+    }
+    return null;
+}
+
+// --- Audit Log (append-only JSON lines in DATA_DIR/audit, rotated by size) ---
+// One entry per operation: { time, action, result ('ok', 'failed' or 'aborted'), status, user, ip, user_agent, path, target, share_id, error, details }.
+// Paths are relative to the storage root, so entries read the same whoever made them.
+const AUDIT_DIR = path.join(DATA_DIR, 'audit');
+const AUDIT_FILE = path.join(AUDIT_DIR, 'audit.log');
+const AUDIT_ACTIONS = ['upload', 'download', 'preview', 'save', 'move', 'copy', 'rename', 'mkdir', 'delete', 'extract', 'restore', 'purge', 'share_create', 'share_revoke', 'share_access', 'request_create', 'request_revoke'];
+
+fs.ensureDirSync(AUDIT_DIR);
+let auditFileSize = fs.pathExistsSync(AUDIT_FILE) ? fs.statSync(AUDIT_FILE).size : 0;
+let auditWriteChain = Promise.resolve(); // Entries are appended one at a time, in order
+
+// Rotated files are named audit-<ISO time of rotation>.log, so sorting by name sorts them by age
+async function listRotatedAuditFiles() {
+    const names = await fs.readdir(AUDIT_DIR).catch(() => []);
+    return names.filter(name => /^audit-.+\.log$/.test(name)).sort();
+}
+
+async function rotateAuditLog() {
+    if (auditFileSize === 0) return;
+    const rotatedName = `audit-${new Date().toISOString().replace(/[:.]/g, '-')}.log`;
+    await fs.move(AUDIT_FILE, path.join(AUDIT_DIR, rotatedName));
+    auditFileSize = 0;
+    console.log(`Audit log rotated to ${rotatedName}`);
+    const rotated = await listRotatedAuditFiles();
+    if (AUDIT_KEEP_FILES > 0) {
+        for (const name of rotated.slice(0, Math.max(0, rotated.length - AUDIT_KEEP_FILES))) {
+            await fs.remove(path.join(AUDIT_DIR, name)).catch(err => console.error(`Error removing old audit log ${name}:`, err));
+        }
+    }
+}
+
+function appendAuditEntry(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    const lineBytes = Buffer.byteLength(line);
+    auditWriteChain = auditWriteChain.then(async () => {
+        if (AUDIT_ROTATE_BYTES && auditFileSize + lineBytes > AUDIT_ROTATE_BYTES) await rotateAuditLog();
+        await fs.appendFile(AUDIT_FILE, line, { mode: 0o600 });
+        auditFileSize += lineBytes;
+    }).catch(err => console.error("Error writing audit log:", err));
+    return auditWriteChain;
+}
+
+// Storage-root-relative form of a path the user asked for (as given when it doesn't resolve)
+function getAuditPath(user, suffix) {
+    if (suffix === undefined || suffix === null) return null;
+    const located = user ? locateUserPath(String(suffix), user) : null;
+    return located ? toStoragePath(located.fullPath) : String(suffix);
+}
+
+function recordAudit(req, action, fields) {
+    return appendAuditEntry({
+        time: new Date().toISOString(),
+        action: action,
+        result: 'ok',
+        status: null,
+        user: req.user ? req.user.username : null,
+        ip: req.socket ? req.ip : null, // The socket is gone once a failed body stream destroyed the request
+        user_agent: req.get('User-Agent') || null,
+        path: null,
+        ...fields
+    });
+}
+
+// Log a request once its response is done. describe(req, res) returns { path, target, share_id, details } (or null to
+// skip the entry); handlers can add to or override it through res.locals.audit, e.g. with the name a file was saved under.
+function auditResponse(req, res, action, describe = () => ({})) {
+    const ip = req.ip;
+    const sendJson = res.json;
+    res.json = function (body) {
+        if (body && body.error) res.locals.auditError = body.error;
+        return sendJson.call(this, body);
+    };
+    res.on('close', () => {
+        let fields;
+        try {
+            fields = describe(req, res);
+        } catch (error) {
+            fields = {};
+        }
+        if (fields === null) return;
+        const failed = res.statusCode >= 400;
+        recordAudit(req, action, {
+            ip: ip,
+            ...fields,
+            ...res.locals.audit,
+            result: !res.writableFinished ? 'aborted' : (failed ? 'failed' : 'ok'),
+            status: res.statusCode,
+            ...(failed && res.locals.auditError ? { error: res.locals.auditError } : {})
         });
+    });
+}
 
-        // Sort folders first, then files, alphabetically (case-insensitive)
-        items.sort((a, b) => {
-            if (a.is_dir !== b.is_dir) {
-                return a.is_dir ? -1 : 1; // Directories first
+// Record where a request ended up when its URL doesn't say (e.g. the item behind a share link)
+function setAuditPath(res, fullPath) {
+    res.locals.audit = { ...res.locals.audit, path: toStoragePath(fullPath) };
+}
+
+// Players fetch media in many ranges; only the first request of a file is worth an entry
+function isRangeContinuation(req) {
+    const range = req.get('Range');
+    return !!range && !/^bytes=0-/.test(range.trim());
+}
+
+// Route middleware form of auditResponse
+function audit(action, describe) {
+    return (req, res, next) => {
+        auditResponse(req, res, action, describe);
+        next();
+    };
+}
+
+// Parse ?from=&to=&action=&path=&share_id=&user=&result= into a filter, or { error }
+function parseAuditFilter(query) {
+    const filter = { from: null, to: null, actions: null, pathPrefix: null, shareId: null, user: null, result: null };
+    for (const key of ['from', 'to']) {
+        if (!query[key]) continue;
+        const time = new Date(/^\d+$/.test(query[key]) ? Number(query[key]) : query[key]);
+        if (isNaN(time.getTime())) return { error: `Invalid '${key}' time. Use an ISO date or milliseconds since 1970.` };
+        filter[key] = time;
+    }
+    if (query.action) {
+        filter.actions = String(query.action).split(',').map(action => action.trim()).filter(Boolean);
+        const unknown = filter.actions.filter(action => !AUDIT_ACTIONS.includes(action));
+        if (unknown.length > 0) return { error: `Unknown action(s): ${unknown.join(', ')}. Use: ${AUDIT_ACTIONS.join(', ')}` };
+    }
+    if (query.path) filter.pathPrefix = String(query.path).split('/').filter(Boolean).join('/');
+    if (query.share_id) filter.shareId = String(query.share_id);
+    if (query.user) filter.user = String(query.user);
+    if (query.result) filter.result = String(query.result);
+    return filter;
+}
+
+function matchesAuditFilter(entry, filter) {
+    const time = new Date(entry.time);
+    if (filter.from && time < filter.from) return false;
+    if (filter.to && time > filter.to) return false;
+    if (filter.actions && !filter.actions.includes(entry.action)) return false;
+    if (filter.shareId && entry.share_id !== filter.shareId) return false;
+    if (filter.user && entry.user !== filter.user) return false;
+    if (filter.result && entry.result !== filter.result) return false;
+    if (filter.pathPrefix) {
+        const prefix = filter.pathPrefix;
+        const matches = value => typeof value === 'string' && (value === prefix || value.startsWith(prefix + '/'));
+        if (!matches(entry.path) && !matches(entry.target)) return false;
+    }
+    return true;
+}
+
+// Call onEntry for every matching entry, oldest first. Rotated files last written before `from` are skipped unread.
+async function forEachAuditEntry(filter, onEntry) {
+    await auditWriteChain; // Include entries that are still being written
+    const files = (await listRotatedAuditFiles()).map(name => path.join(AUDIT_DIR, name));
+    if (await fs.pathExists(AUDIT_FILE)) files.push(AUDIT_FILE);
+    for (const file of files) {
+        if (filter.from && file !== AUDIT_FILE) {
+            const stats = await fs.stat(file).catch(() => null);
+            if (!stats || stats.mtime < filter.from) continue;
+        }
+        const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                continue; // A line cut short by a crash
             }
-            // LocaleCompare for proper sorting of names
-            return a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
-        });
+            if (matchesAuditFilter(entry, filter)) onEntry(entry);
+        }
+    }
+}
 
-        // Calculate parent path (relative)
-        let parentPath = null;
-        if (subpath) {
-            parentPath = path.dirname(subpath).replace(/\\/g, '/');
-            if (parentPath === '.') parentPath = ''; // Root represented by empty string
+const AUDIT_CSV_COLUMNS = ['time', 'action', 'result', 'status', 'user', 'ip', 'user_agent', 'path', 'target', 'share_id', 'error', 'details'];
+
+function toCsvField(value) {
+    if (value === undefined || value === null) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`; // Keep spreadsheets from running it as a formula
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// --- Security Headers ---
+// Inline scripts of the app page are allowed by their hash (computed at startup), so an injected <script> never runs.
+// Styles stay 'unsafe-inline': the page sets style attributes all over, and styles can't run code.
+function getInlineScriptHashes(htmlFile) {
+    const html = fs.readFileSync(htmlFile, 'utf8');
+    return [...html.matchAll(/<script(?![^>]*\bsrc=)[^>]*>([\s\S]*?)<\/script>/g)]
+        .map(match => `'sha256-${crypto.createHash('sha256').update(match[1]).digest('base64')}'`);
+}
+
+const APP_CSP = [
+    "default-src 'self'",
+    `script-src 'self' ${getInlineScriptHashes(path.join(__dirname, 'public', 'index.html')).join(' ')} https://www.gstatic.com`, // The Cast sender SDK
+    "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com",
+    "font-src https://fonts.gstatic.com",
+    "img-src 'self' data: blob:", // QR codes are data: URLs
+    "media-src 'self' blob:",
+    "connect-src 'self' https://fonts.googleapis.com https://fonts.gstatic.com", // The service worker caches the fonts
+    "frame-src 'self'", // PDF previews
+    "worker-src 'self'",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'self'",
+    "frame-ancestors 'self'"
+].join('; ');
+// Share and file request pages have no scripts at all; files sent through them can't run any either
+const PUBLIC_PAGE_CSP = "default-src 'none'; style-src 'unsafe-inline'; img-src 'self'; media-src 'self'; form-action 'self'; base-uri 'none'; frame-ancestors 'none'";
+
+function setSecurityHeaders(req, res, next) {
+    res.set({
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'SAMEORIGIN',
+        'Referrer-Policy': 'no-referrer', // Share and file request URLs are secrets
+        'Cross-Origin-Opener-Policy': 'same-origin',
+        'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=()'
+    });
+    if (req.secure) res.set('Strict-Transport-Security', 'max-age=31536000');
+    next();
+}
+
+// --- Rate Limiting (in memory, fixed windows) ---
+const rateLimitWindows = new Map(); // "<limit>:<key>" -> { count, reset_at }
+
+// Allow max counted requests per client (keyOf: account or IP) and window. With countIf only the requests it picks
+// after the response count (e.g. failed link lookups). Once the limit is used up everything is refused until the window ends.
+function rateLimit(name, { max, windowSeconds, keyOf = req => req.ip, countIf = null }) {
+    return (req, res, next) => {
+        const key = `${name}:${keyOf(req)}`;
+        const now = Date.now();
+        const window = rateLimitWindows.get(key);
+        if (window && window.reset_at > now && window.count >= max) {
+            const retryAfter = Math.ceil((window.reset_at - now) / 1000);
+            console.warn(`Rate limit "${name}" reached by ${keyOf(req)} (${req.method} ${req.originalUrl})`);
+            res.set('Retry-After', String(retryAfter));
+            const message = `Too many requests. Try again in ${retryAfter} second(s).`;
+            return req.originalUrl.startsWith('/api/') ? res.status(429).json({ error: message }) : res.status(429).send(message);
         }
+        const count = () => {
+            const current = rateLimitWindows.get(key);
+            if (current && current.reset_at > Date.now()) current.count++;
+            else rateLimitWindows.set(key, { count: 1, reset_at: Date.now() + windowSeconds * 1000 });
+        };
+        if (countIf) res.on('finish', () => { if (countIf(req, res)) count(); });
+        else count();
+        next();
+    };
+}
 
-        res.json({
-            current_path: subpath,
-            parent_path: parentPath,
-            items: items
-        });
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of rateLimitWindows) if (window.reset_at <= now) rateLimitWindows.delete(key);
+}, 60 * 1000).unref();
+
+const limitUploads = rateLimit('upload', { max: RATE_LIMIT_UPLOADS_PER_MINUTE, windowSeconds: 60, keyOf: req => (req.user ? `user ${req.user.username}` : req.ip) });
+const limitShareCreation = rateLimit('share', { max: RATE_LIMIT_SHARES_PER_MINUTE, windowSeconds: 60, keyOf: req => `user ${req.user.username}` });
+// Link IDs are unguessable only as long as nobody can try millions: unknown IDs and wrong passwords count against the IP
+const limitLinkLookups = rateLimit('link', {
+    max: RATE_LIMIT_LINK_FAILURES,
+    windowSeconds: RATE_LIMIT_LINK_WINDOW_MINUTES * 60,
+    countIf: (req, res) => res.statusCode === 404 || (req.method === 'POST' && res.statusCode === 401)
+});
+// Same for account passwords; WebDAV clients first ask without credentials, so only rejected credentials count
+const limitLoginFailures = rateLimit('login', {
+    max: RATE_LIMIT_LOGIN_FAILURES,
+    windowSeconds: RATE_LIMIT_LOGIN_WINDOW_MINUTES * 60,
+    countIf: (req, res) => res.statusCode === 401 && (req.method === 'POST' || !!req.get('authorization'))
+});
+
+// --- Middleware ---
+app.use(setSecurityHeaders);
+// WebDAV answers OPTIONS itself and streams request bodies, so it is mounted before CORS and the body parsers
+app.use(DAV_PREFIX, limitLoginFailures, handleDavRequest);
+// Only allowlisted origins get CORS headers; for any other site the browser keeps the responses from its scripts
+app.use(cors({ origin: (origin, callback) => callback(null, CORS_ORIGINS.includes(origin)), credentials: true }));
+app.use(express.json()); // Parse JSON request bodies up to default limit
+app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
+app.use(['/share', '/request'], limitLinkLookups, (req, res, next) => {
+    res.set('Content-Security-Policy', PUBLIC_PAGE_CSP);
+    next();
+});
+// Serve static files (index.html) from 'public' directory
+app.use(express.static(path.join(__dirname, 'public'), { setHeaders: res => res.set('Content-Security-Policy', APP_CSP) }));
+
+// --- User Accounts & Sessions ---
+// Both are persisted as JSON in DATA_DIR and loaded once at startup.
+let users = fs.readJsonSync(USERS_FILE, { throws: false }) || {}; // { "username": { username, password_hash, role, shared_folders: [], created_at } }
+let sessions = fs.readJsonSync(SESSIONS_FILE, { throws: false }) || {}; // { "token": { username, created_at, expires_at } }
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{1,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+function saveUsers() {
+    return writeJsonAtomic(USERS_FILE, users).catch(err => console.error("Error saving users file:", err));
+}
+
+function saveSessions() {
+    return writeJsonAtomic(SESSIONS_FILE, sessions).catch(err => console.error("Error saving sessions file:", err));
+}
+
+// Passwords are stored as "scrypt$<salt>$<hash>" (hex encoded)
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scryptAsync(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scryptAsync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Strip secrets before sending a user record to the client
+function publicUser(user) {
+    return {
+        username: user.username,
+        role: user.role,
+        shared_folders: user.shared_folders || [],
+        created_at: user.created_at
+    };
+}
+
+// Own-property lookup so names like "__proto__" can never resolve to a record
+function findUser(username) {
+    return Object.prototype.hasOwnProperty.call(users, username) ? users[username] : null;
+}
+
+function isValidUsername(username) {
+    return typeof username === 'string' && USERNAME_PATTERN.test(username) && username !== '.' && username !== '..';
+}
+
+// Shared folder names become directory names under SHARED_ROOT, so sanitize them like mkdir does
+function sanitizeSharedFolders(folderNames) {
+    if (!Array.isArray(folderNames)) return [];
+    const cleaned = folderNames
+        .map(name => String(name).trim().replace(/[/\\?%*:|"<>]/g, '_'))
+        .filter(name => name && name !== '.' && name !== '..');
+    return [...new Set(cleaned)];
+}
+
+async function ensureUserFolders(user) {
+    await fs.ensureDir(path.join(HOMES_ROOT, user.username));
+    for (const folderName of user.shared_folders || []) {
+        await fs.ensureDir(path.join(SHARED_ROOT, folderName));
+    }
+}
+
+// The initial password is only needed until the admin account exists, so don't leave it (or its hash) in the config file
+async function removeAdminPasswordFromConfig() {
+    if (!('admin_password' in serverConfig) && !('admin_password_hash' in serverConfig)) return;
+    delete serverConfig.admin_password;
+    delete serverConfig.admin_password_hash;
+    try {
+        await fs.writeJson(CONFIG_FILE, serverConfig, { spaces: 2, mode: 0o600 });
+    } catch (err) {
+        console.error(`Could not remove the initial admin password from ${CONFIG_FILE}:`, err);
+    }
+}
+
+// Create the first admin account if no users exist yet
+async function ensureInitialAdmin() {
+    if (Object.keys(users).length > 0) return;
+    const username = process.env.ADMIN_USERNAME || serverConfig.admin_username || 'admin';
+    // setup.js stores only a hash; a plain "admin_password" is what older versions of it wrote
+    const configuredPassword = process.env.ADMIN_PASSWORD || serverConfig.admin_password;
+    const configuredHash = !process.env.ADMIN_PASSWORD && serverConfig.admin_password_hash;
+    const generatedPassword = !configuredPassword && !configuredHash;
+    const password = configuredPassword || (generatedPassword ? crypto.randomBytes(9).toString('base64url') : null);
+
+    users[username] = {
+        username: username,
+        password_hash: configuredHash || await hashPassword(password),
+        role: 'admin',
+        shared_folders: [],
+        created_at: new Date().toISOString()
+    };
+    await ensureUserFolders(users[username]);
+    await saveUsers();
+    await removeAdminPasswordFromConfig();
+    console.log(`\nCreated initial admin account "${username}".`);
+    if (generatedPassword) {
+        console.log(`  Generated password: ${password}`);
+        console.log(`  (Pass --admin-password to "npm run setup" before the first start to choose your own.)`);
+    }
+}
+
+function parseCookies(cookieHeader = '') {
+    return cookieHeader.split(';').reduce((cookies, part) => {
+        const separatorIndex = part.indexOf('=');
+        if (separatorIndex > -1) {
+            const name = part.slice(0, separatorIndex).trim();
+            try {
+                cookies[name] = decodeURIComponent(part.slice(separatorIndex + 1).trim());
+            } catch (e) { /* Ignore malformed cookie values */ }
+        }
+        return cookies;
+    }, {});
+}
+
+// Browsers send the session cookie; scripts may use "Authorization: Bearer <token>" instead
+function getSessionToken(req) {
+    const authHeader = req.get('authorization');
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        return authHeader.slice('Bearer '.length).trim();
+    }
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE_NAME] || null;
+}
+
+function getSessionUser(req) {
+    const token = getSessionToken(req);
+    const session = token && Object.prototype.hasOwnProperty.call(sessions, token) ? sessions[token] : null;
+    if (!session) return null;
+
+    const user = findUser(session.username);
+    if (new Date() > new Date(session.expires_at) || !user) {
+        delete sessions[token];
+        saveSessions();
+        return null;
+    }
+    return { token: token, user: user };
+}
+
+function requireAuth(req, res, next) {
+    const sessionInfo = getSessionUser(req);
+    if (!sessionInfo) {
+        return res.status(401).json({ error: "Authentication required. Please log in." });
+    }
+    req.user = sessionInfo.user;
+    req.sessionToken = sessionInfo.token;
+    next();
+}
+
+// The CSRF token of a session: derived from it, so it needs no storage and changes with every login
+function getCsrfToken(sessionToken) {
+    return crypto.createHmac('sha256', SERVER_SECRET).update(`csrf:${sessionToken}`).digest('hex');
+}
+
+// Browsers attach the session cookie to requests any other site makes them send, so state-changing requests that
+// are authenticated by the cookie must also carry the session's CSRF token (X-CSRF-Token header, or a _csrf form field).
+// Bearer tokens (the CLI) are never sent along implicitly and need none.
+function hasValidCsrfToken(req, sessionToken) {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return true;
+    if ((req.get('authorization') || '').startsWith('Bearer ')) return true;
+    const given = Buffer.from(String(req.get(CSRF_HEADER) || (req.body && req.body._csrf) || ''));
+    const expected = Buffer.from(getCsrfToken(sessionToken));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function requireCsrfToken(req, res, next) {
+    if (!hasValidCsrfToken(req, req.sessionToken)) {
+        console.warn(`Rejected ${req.method} ${req.originalUrl} from ${req.ip}: missing or invalid CSRF token (User: ${req.user.username})`);
+        return res.status(403).json({ error: "Missing or invalid CSRF token. Reload the page and try again." });
+    }
+    next();
+}
+
+function requireAdmin(req, res, next) {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: "Administrator rights required." });
+    }
+    next();
+}
+
+// Drop expired sessions left over from a previous run
+Object.keys(sessions).forEach(token => {
+    if (new Date() > new Date(sessions[token].expires_at)) delete sessions[token];
+});
+
+// --- Helper Functions for Path Safety ---
+// Admins see the whole storage root; everyone else is confined to their home folder.
+function getUserRoot(user) {
+    return user.role === 'admin' ? RESOLVED_UPLOAD_FOLDER_ROOT : path.join(HOMES_ROOT, user.username);
+}
+
+function getUserDrives(user) {
+    return DRIVES.filter(drive => user.role === 'admin' || !drive.users || drive.users.includes(user.username));
+}
+
+// Folders mounted at the top of a user's view, as [{ name, fullPath, drive }]: their drives and, for regular users,
+// their shared folders. A mount shadows a same-named entry of the user's root; a drive shadows a same-named shared folder.
+function getMountedFolders(user) {
+    const mounts = getUserDrives(user).map(drive => ({ name: drive.name, fullPath: drive.path, drive: drive }));
+    if (user.role !== 'admin') {
+        (user.shared_folders || []).forEach(name => {
+            if (!mounts.some(mount => mount.name === name)) mounts.push({ name: name, fullPath: path.join(SHARED_ROOT, name), drive: null });
+        });
+    }
+    return mounts;
+}
+
+// The drive a path lies on, or null for the storage root
+function getDriveOf(fullPath) {
+    return DRIVES.find(drive => isSameOrInside(fullPath, drive.path)) || null;
+}
+
+// The top folder of the storage a path lies on (a drive's path or the storage root)
+function getStorageRootOf(fullPath) {
+    const drive = getDriveOf(fullPath);
+    return drive ? drive.path : RESOLVED_UPLOAD_FOLDER_ROOT;
+}
+
+// Error message when nothing may be written at fullPath (it lies on a read-only drive), otherwise null
+function getWriteProblem(fullPath) {
+    const drive = getDriveOf(fullPath);
+    return drive && drive.read_only ? `The drive '${drive.name}' is read-only.` : null;
+}
+
+// Error message when fullPath may not be shared by link (its drive doesn't allow sharing), otherwise null
+function getSharingProblem(fullPath) {
+    const drive = getDriveOf(fullPath);
+    return drive && !drive.sharing ? `Sharing is not allowed on the drive '${drive.name}'.` : null;
+}
+
+// Largest single file that may be uploaded into fullPath: the tighter of the server-wide and the drive limit (0 = no limit)
+function getMaxUploadBytes(fullPath) {
+    const drive = getDriveOf(fullPath);
+    const limits = [MAX_UPLOAD_BYTES, drive ? drive.max_upload_bytes : 0].filter(Boolean);
+    return limits.length ? Math.min(...limits) : 0;
+}
+
+// What clients get to know about a drive (its location on the server only for admins)
+function publicDrive(drive, user) {
+    const info = { name: drive.name, read_only: drive.read_only, sharing: drive.sharing, max_upload_bytes: getMaxUploadBytes(drive.path) || null };
+    if (user && user.role === 'admin') {
+        info.path = drive.path;
+        info.users = drive.users;
+    }
+    return info;
+}
+
+// Folders that must never be deleted or moved away by this user (their root and mount points)
+function getProtectedPaths(user) {
+    const mountPaths = getMountedFolders(user).map(mount => mount.fullPath);
+    if (user.role === 'admin') {
+        return [RESOLVED_UPLOAD_FOLDER_ROOT, HOMES_ROOT, SHARED_ROOT, ...mountPaths];
+    }
+    return [getUserRoot(user), ...mountPaths];
+}
+
+// Where a path of the user's view points, going by the path string alone: { fullPath, basePath (the folder it was
+// resolved in) }, or null when it leaves the user's view. getSafePath also applies the symlink policy.
+function locateUserPath(relativePathSuffix = '', user) {
+    if (!user) {
+        console.error(`locateUserPath called without a user for suffix "${relativePathSuffix}"`);
+        return null;
+    }
+    try {
+        const decodedSuffix = decodeURIComponent(relativePathSuffix);
+        let basePath = getUserRoot(user);
+        let remainder = decodedSuffix;
+
+        // Drives and the shared folders assigned to a regular user are mounted as top-level entries of their view
+        const [firstSegment, ...restSegments] = decodedSuffix.split(/[\\/]+/).filter(Boolean);
+        const mount = firstSegment ? getMountedFolders(user).find(folder => folder.name === firstSegment) : null;
+        if (mount) {
+            basePath = mount.fullPath;
+            remainder = restSegments.join('/');
+        }
+
+        // Resolve relative to the user's base path; internal folders (trash, partial uploads) are never reachable directly
+        const absoluteTargetPath = resolveInside(basePath, remainder, `User: ${user.username}`);
+        if (!absoluteTargetPath) return null;
+        if (isInternalPath(absoluteTargetPath)) {
+            console.warn(`Blocked direct access to internal folder: ${relativePathSuffix} (User: ${user.username})`);
+            return null;
+        }
+        return { fullPath: absoluteTargetPath, basePath: basePath };
+    } catch (e) {
+        // Catch potential decoding errors
+        console.error(`Error resolving path for suffix "${relativePathSuffix}":`, e);
+        return null;
+    }
+}
+
+// The absolute path of a path of the user's view, or null when it leaves the view or the symlink policy blocks it
+async function getSafePath(relativePathSuffix = '', user) {
+    const located = locateUserPath(relativePathSuffix, user);
+    return located ? applySymlinkPolicy(located.fullPath, located.basePath, user ? `User: ${user.username}` : '') : null;
+}
+
+// Resolve an (already decoded) relative path against basePath, or return null if it escapes basePath.
+// This only looks at the path string; symlinks are up to applySymlinkPolicy.
+function resolveInside(basePath, relativePath, logContext = '') {
+    const absoluteTargetPath = path.resolve(basePath, relativePath);
+
+    // Security Check: Ensure the resolved path is still within the base folder
+    // Handle edge case where the path *is* the base folder correctly
+    if (!absoluteTargetPath.startsWith(basePath + path.sep) && absoluteTargetPath !== basePath) {
+         console.warn(`UNSAFE PATH DETECTED: ${relativePath} -> ${absoluteTargetPath} (Base: ${basePath}${logContext ? `, ${logContext}` : ''})`);
+         return null; // Indicate unsafe path
+     }
+    return absoluteTargetPath;
+}
+
+// The string checks can't see symlinks: fullPath if its real location passes the symlink policy as well, otherwise null
+async function applySymlinkPolicy(fullPath, basePath, logContext = '') {
+    const problem = await getRealPathProblem(fullPath, basePath);
+    if (problem) {
+        console.warn(`BLOCKED BY SYMLINK POLICY (${SYMLINK_POLICY}): ${fullPath} -> ${problem} (Base: ${basePath}${logContext ? `, ${logContext}` : ''})`);
+        return null;
+    }
+    return fullPath;
+}
+
+// The real location of fullPath: symlinks in the part that exists resolved, the part that doesn't exist yet appended.
+// Null when the path runs into a dangling symlink, because creating its target could write anywhere.
+async function getRealPath(fullPath) {
+    const missing = [];
+    let existing = fullPath;
+    for (;;) {
+        try {
+            return path.join(await fs.realpath(existing), ...missing);
+        } catch (error) {
+            if (error.code === 'ENOTDIR') return fullPath; // Nothing can exist below a file, so nothing can be reached either
+            if (error.code !== 'ENOENT') throw error;
+            if (await fs.lstat(existing).catch(() => null)) return null; // There, but a link to nowhere
+            const parent = path.dirname(existing);
+            if (parent === existing) return fullPath;
+            missing.unshift(path.basename(existing));
+            existing = parent;
+        }
+    }
+}
+
+// Why fullPath may not be used under the symlink policy, or null when it may. basePath is the folder the path was
+// resolved in (a user's root, a mount, a shared folder); with "contain" the real location must stay inside its real location.
+async function getRealPathProblem(fullPath, basePath) {
+    if (SYMLINK_POLICY === 'follow') return null;
+    let realPath, realBase, realRoot;
+    try {
+        realPath = await getRealPath(fullPath);
+        realBase = await getRealPath(basePath) || basePath;
+        realRoot = await getRealPath(RESOLVED_UPLOAD_FOLDER_ROOT) || RESOLVED_UPLOAD_FOLDER_ROOT;
+    } catch (error) {
+        // Link loops (ELOOP), unreadable folders (EACCES) and the like: where such a path leads can't be checked
+        return `unresolvable path (${error.code || error.message})`;
+    }
+    if (!realPath) return 'dangling symlink';
+    const expectedPath = path.join(realBase, path.relative(basePath, fullPath)); // Where it would be without any links
+    if (realPath === expectedPath) return null;
+    if (SYMLINK_POLICY === 'deny') return `symlink to ${realPath}`;
+    if (!isSameOrInside(realPath, realBase)) return `symlink to ${realPath}, outside ${basePath}`;
+    // Links must not lead into the trash, versions or partial uploads either
+    if (isSameOrInside(realPath, realRoot) && isInternalPath(path.join(RESOLVED_UPLOAD_FOLDER_ROOT, path.relative(realRoot, realPath)))) {
+        return `symlink to ${realPath}, an internal folder`;
+    }
+    return null;
+}
+
+// The folder a path of the user's view is resolved in: the mounted folder it lies in, or the user's root
+function getViewBasePath(user, fullPath) {
+    const mount = getMountedFolders(user).find(folder => isSameOrInside(fullPath, folder.fullPath));
+    return mount ? mount.fullPath : getUserRoot(user);
+}
+
+// Listings leave out symlinks the policy won't follow, so nobody is shown entries that can't be opened
+async function isAllowedEntry(fullPath, isSymlink, basePath) {
+    return !isSymlink || SYMLINK_POLICY === 'follow' || !await getRealPathProblem(fullPath, basePath);
+}
+
+
+// --- Multer Configuration for File Uploads ---
+
+// Sanitize a single file or folder name (remove illegal chars, never '.' or '..')
+function sanitizeName(name) {
+    return String(name).replace(/[/\\?%*:|"<>]/g, '_').replace(/^\.+$/, '_');
+}
+
+// Split an uploaded file's relative path ("folder/sub/file.txt") into a safe directory under baseDir and a file name.
+// Returns null if nothing usable is left or the result would leave baseDir (also through a symlinked subfolder).
+async function resolveUploadDestination(baseDir, relativeName) {
+    const segments = String(relativeName).split(/[\\/]+/).filter(Boolean).map(sanitizeName);
+    const fileName = segments.pop();
+    if (!fileName) return null;
+    const lexicalDir = resolveInside(baseDir, segments.join('/'), 'Upload');
+    const dir = lexicalDir && await applySymlinkPolicy(lexicalDir, baseDir, 'Upload');
+    if (!dir || isInternalPath(dir)) return null;
+    return { dir: dir, name: fileName };
+}
+
+// Basic collision avoidance: add a timestamp if the name is taken
+async function getAvailableFilename(parentDir, safeName) {
+    if (!await fs.pathExists(path.join(parentDir, safeName))) return safeName;
+    const ext = path.extname(safeName);
+    const base = path.basename(safeName, ext);
+    const newName = `${base}_${Date.now()}${ext}`;
+    console.warn(`Filename collision: Renaming "${safeName}" to "${newName}"`);
+    return newName;
+}
+
+// Keep the name when overwriting an existing file, saving its current contents as a version first. Folders are never replaced.
+async function getOverwriteFilename(user, parentDir, safeName) {
+    const existingPath = path.join(parentDir, safeName);
+    const stats = await fs.stat(existingPath).catch(() => null);
+    if (!stats) return safeName;
+    if (!stats.isFile()) return getAvailableFilename(parentDir, safeName);
+    await saveFileVersion(existingPath, user, 'upload');
+    return safeName;
+}
+
+// A multer storage engine like multer.diskStorage, except that the files of one request together may not take more than
+// the room measured before multer ran (req.uploadRoom, see getStorageRoom; null = no limit). Writing stops as soon as they
+// would, so uploads without a Content-Length can't fill a quota or the disk before anything notices.
+// Each file is written to a temporary file in UPLOADS_ROOT (file.path) and only put into its folder (file.destination)
+// by placeUploadedFile once the whole request has arrived: an aborted or refused upload never touches a file it would replace.
+function createRoomLimitedStorage({ destination }) {
+    return {
+        _handleFile(req, file, cb) {
+            destination(req, file, (destinationError, dir) => {
+                if (destinationError) return cb(destinationError);
+                const tempPath = path.join(UPLOADS_ROOT, `upload-${uuidv4()}.tmp`);
+                const room = req.uploadRoom;
+                let size = 0;
+                const limiter = new Transform({
+                    transform(chunk, encoding, callback) {
+                        size += chunk.length;
+                        req.uploadedBytes = (req.uploadedBytes || 0) + chunk.length;
+                        if (room && req.uploadedBytes > room.bytes) {
+                            const error = new Error(`Not enough space: the upload is larger than the ${formatBytes(room.bytes)} left within ${room.reason}.`);
+                            error.code = 'LIMIT_STORAGE_ROOM';
+                            return callback(error);
+                        }
+                        callback(null, chunk);
+                    }
+                });
+                const outStream = fs.createWriteStream(tempPath);
+                let failed = false;
+                // The rest of the file is drained, not destroyed, so multer only learns of the error once the partial file is gone
+                const fail = (error) => {
+                    if (failed) return;
+                    failed = true;
+                    file.stream.unpipe(limiter);
+                    file.stream.resume();
+                    outStream.destroy();
+                    fs.remove(tempPath).finally(() => cb(error));
+                };
+                limiter.on('error', fail);
+                outStream.on('error', fail);
+                outStream.on('finish', () => cb(null, { destination: dir, path: tempPath, size: size }));
+                file.stream.pipe(limiter).pipe(outStream);
+            });
+        },
+        _removeFile(req, file, cb) {
+            fs.remove(file.path).then(() => cb(null), cb);
+        }
+    };
+}
+
+// Move a file received by createRoomLimitedStorage into its folder under name (or a free variant of it). With overwrite,
+// an existing file of that name is replaced; its current contents are saved as a version only now that the upload is complete.
+async function placeUploadedFile(file, name, { overwrite = false, user = null } = {}) {
+    const finalName = overwrite ? await getOverwriteFilename(user, file.destination, name) : await getAvailableFilename(file.destination, name);
+    const finalPath = path.join(file.destination, finalName);
+    await fs.move(file.path, finalPath, { overwrite: overwrite });
+    file.filename = finalName;
+    file.path = finalPath;
+    return finalPath;
+}
+
+// Drop the temporary files of uploads that were not put in place (e.g. after an error while placing an earlier one)
+function removeUnplacedUploads(files) {
+    return Promise.all(files.filter(file => isSameOrInside(file.path, UPLOADS_ROOT)).map(file => fs.remove(file.path).catch(() => {})));
+}
+
+const storage = createRoomLimitedStorage({
+    destination: async function (req, file, cb) {
+        const targetDir = req.uploadTargetDir; // Validated and resolved by receiveUploadedFiles
+
+        if (!targetDir) {
+             console.error(`Multer destination error: Invalid safe path for subpath "${req.params.subpath || ''}"`);
+             return cb(new Error('Invalid upload directory specified (path safety check failed)'), null);
+        }
+        // originalname may carry a relative path (folder uploads), which is rebuilt under the target
+        const destination = await resolveUploadDestination(targetDir, file.originalname).catch(() => null);
+        if (!destination) {
+             return cb(new Error(`Invalid file name or relative path: "${file.originalname}"`), null);
+        }
+        file.uploadDestination = destination;
+
+        // Use ensureDir to handle creation robustly
+        fs.ensureDir(destination.dir, err => {
+            if (err) {
+                console.error(`Multer failed to ensure directory ${destination.dir}:`, err);
+                return cb(new Error(`Failed to create target directory: ${err.message}`), null);
+            }
+            cb(null, destination.dir); // Set the destination directory
+        });
+    }
+});
+
+// The size limit depends on the target drive, so each upload gets its own multer instance.
+// Quotas are checked before multer runs (checkUploadSpace) when the size is announced, and always while the files are
+// written (createRoomLimitedStorage); uploads to read-only drives never reach it.
+async function receiveUploadedFiles(req, res, next) {
+    const targetDir = await getSafePath(req.params.subpath || '', req.user);
+    req.uploadTargetDir = targetDir;
+    const writeProblem = targetDir ? getWriteProblem(targetDir) : null;
+    if (writeProblem) {
+        res.set('Connection', 'close'); // Don't read the rest of the body
+        return res.status(403).json({ error: writeProblem });
+    }
+    try {
+        req.uploadRoom = targetDir ? await getStorageRoom(req.user, targetDir) : null; // Enforced while the files are written
+    } catch (error) {
+        return next(error);
+    }
+    res.locals.maxUploadBytes = targetDir ? getMaxUploadBytes(targetDir) : MAX_UPLOAD_BYTES;
+    multer({
+        storage: storage,
+        preservePath: true, // Keep "folder/file.txt" names so folder uploads can be rebuilt
+        limits: res.locals.maxUploadBytes ? { fileSize: res.locals.maxUploadBytes } : {} // MAX_UPLOAD_SIZE_MB in .env, or the drive's max_upload_mb
+    }).fields([{ name: 'file', maxCount: 1 }, { name: 'files' }])(req, res, next);
+}
+
+
+// --- Authentication Routes (public) ---
+
+// Log in and start a session
+app.post('/api/login', limitLoginFailures, async (req, res) => {
+    const { username, password } = req.body;
+    if (!username || !password) {
+        return res.status(400).json({ error: "Username and password are required." });
+    }
+
+    const user = findUser(username);
+    // Always run a password check so response timing doesn't reveal which usernames exist
+    const passwordOk = await verifyPassword(String(password), user ? user.password_hash : 'scrypt$00$00');
+    if (!user || !passwordOk) {
+        console.warn(`Failed login attempt for "${username}" from ${req.ip}`);
+        return res.status(401).json({ error: "Invalid username or password." });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + SESSION_DURATION_DAYS * 24 * 60 * 60 * 1000);
+    sessions[token] = { username: user.username, created_at: now.toISOString(), expires_at: expiresAt.toISOString() };
+    await saveSessions();
+
+    res.cookie(SESSION_COOKIE_NAME, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        expires: expiresAt,
+        path: '/'
+    });
+    console.log(`User logged in: ${user.username}`);
+    res.json({ message: `Welcome, ${user.username}!`, user: publicUser(user), token: token, expires_at: expiresAt.toISOString(), csrf_token: getCsrfToken(token) });
+});
+
+// End the current session
+app.post('/api/logout', async (req, res) => {
+    const token = getSessionToken(req);
+    if (token && !hasValidCsrfToken(req, token)) {
+        return res.status(403).json({ error: "Missing or invalid CSRF token. Reload the page and try again." });
+    }
+    if (token && Object.prototype.hasOwnProperty.call(sessions, token)) {
+        console.log(`User logged out: ${sessions[token].username}`);
+        delete sessions[token];
+        endEventStreamsWithoutSession();
+        await saveSessions();
+    }
+    res.clearCookie(SESSION_COOKIE_NAME, { path: '/' });
+    res.json({ message: "Logged out." });
+});
+
+// Everything below /api and /download requires a valid session (and for changes through /api, a CSRF token)
+app.use('/api', requireAuth, requireCsrfToken);
+app.use('/download', requireAuth);
+
+// Current user info
+app.get('/api/me', (req, res) => {
+    res.json({ user: publicUser(req.user), csrf_token: getCsrfToken(req.sessionToken) });
+});
+
+// Change own password
+app.post('/api/password', async (req, res) => {
+    const { current_password, new_password } = req.body;
+    if (!current_password || !new_password) {
+        return res.status(400).json({ error: "Current and new password are required." });
+    }
+    if (String(new_password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+    if (!await verifyPassword(String(current_password), req.user.password_hash)) {
+        return res.status(403).json({ error: "Current password is incorrect." });
+    }
+
+    req.user.password_hash = await hashPassword(String(new_password));
+    davAuthCache.clear(); // The old password must stop working for WebDAV right away too
+    // Log out every other session of this user
+    Object.keys(sessions).forEach(token => {
+        if (sessions[token].username === req.user.username && token !== req.sessionToken) delete sessions[token];
+    });
+    endEventStreamsWithoutSession();
+    await saveUsers();
+    await saveSessions();
+    console.log(`Password changed for user: ${req.user.username}`);
+    res.json({ message: "Password changed successfully." });
+});
+
+
+// --- User Management Routes (admin only) ---
+
+// List all accounts
+app.get('/api/users', requireAdmin, (req, res) => {
+    const userList = Object.values(users)
+        .map(publicUser)
+        .sort((a, b) => a.username.localeCompare(b.username));
+    res.json({ users: userList });
+});
+
+// Create an account
+app.post('/api/users', requireAdmin, async (req, res) => {
+    const { username, password, role, shared_folders } = req.body;
+
+    if (!isValidUsername(username)) {
+        return res.status(400).json({ error: "Invalid username. Use 1-32 letters, digits, '.', '_' or '-'." });
+    }
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+    if (role && role !== 'admin' && role !== 'user') {
+        return res.status(400).json({ error: "Role must be 'admin' or 'user'." });
+    }
+    if (findUser(username)) {
+        return res.status(409).json({ error: `User '${username}' already exists.` });
+    }
+
+    try {
+        const user = {
+            username: username,
+            password_hash: await hashPassword(String(password)),
+            role: role || 'user',
+            shared_folders: sanitizeSharedFolders(shared_folders),
+            created_at: new Date().toISOString()
+        };
+        await ensureUserFolders(user);
+        users[username] = user;
+        await saveUsers();
+        console.log(`User created: ${username} (${user.role}) by ${req.user.username}`);
+        res.json({ message: `User '${username}' created successfully.`, user: publicUser(user) });
+    } catch (error) {
+        console.error(`Error creating user ${username}:`, error);
+        res.status(500).json({ error: "Could not create user", details: error.message });
+    }
+});
+
+// Update an account's password, role or shared folders
+app.put('/api/users/:username', requireAdmin, async (req, res) => {
+    const user = findUser(req.params.username);
+    if (!user) {
+        return res.status(404).json({ error: "User not found." });
+    }
+    const { password, role, shared_folders } = req.body;
+
+    if (role !== undefined && role !== 'admin' && role !== 'user') {
+        return res.status(400).json({ error: "Role must be 'admin' or 'user'." });
+    }
+    if (role === 'user' && user.username === req.user.username) {
+        return res.status(400).json({ error: "You cannot remove your own administrator rights." });
+    }
+    if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+
+    try {
+        if (password !== undefined) {
+            user.password_hash = await hashPassword(String(password));
+            davAuthCache.clear();
+        }
+        if (role !== undefined) user.role = role;
+        if (shared_folders !== undefined) user.shared_folders = sanitizeSharedFolders(shared_folders);
+        await ensureUserFolders(user);
+        await saveUsers();
+        console.log(`User updated: ${user.username} by ${req.user.username}`);
+        res.json({ message: `User '${user.username}' updated successfully.`, user: publicUser(user) });
+    } catch (error) {
+        console.error(`Error updating user ${user.username}:`, error);
+        res.status(500).json({ error: "Could not update user", details: error.message });
+    }
+});
+
+// Delete an account (the home folder is kept on disk)
+app.delete('/api/users/:username', requireAdmin, async (req, res) => {
+    const { username } = req.params;
+    if (!findUser(username)) {
+        return res.status(404).json({ error: "User not found." });
+    }
+    if (username === req.user.username) {
+        return res.status(400).json({ error: "You cannot delete your own account." });
+    }
+
+    delete users[username];
+    Object.keys(sessions).forEach(token => {
+        if (sessions[token].username === username) delete sessions[token];
+    });
+    endEventStreamsWithoutSession();
+    Object.keys(shareLinks).forEach(id => {
+        if (shareLinks[id].owner === username) delete shareLinks[id];
+    });
+    await saveUsers();
+    await saveSessions();
+    await saveShareLinks();
+    console.log(`User deleted: ${username} by ${req.user.username} (home folder kept)`);
+    res.json({ message: `User '${username}' deleted. Their home folder was kept on disk.` });
+});
+
+
+// --- Audit Log Routes (admin only) ---
+
+// Query the audit log, newest first. Filters: from, to, action (comma separated), path (prefix), share_id, user, result; limit (default 200).
+app.get('/api/audit', requireAdmin, async (req, res) => {
+    const filter = parseAuditFilter(req.query);
+    if (filter.error) return res.status(400).json({ error: filter.error });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || AUDIT_DEFAULT_LIMIT, 1), AUDIT_MAX_LIMIT);
+    try {
+        const newest = []; // The last `limit` matches, oldest first
+        let matched = 0;
+        await forEachAuditEntry(filter, entry => {
+            matched++;
+            newest.push(entry);
+            if (newest.length > limit) newest.shift();
+        });
+        res.json({ entries: newest.reverse(), matched: matched, truncated: matched > limit, actions: AUDIT_ACTIONS });
+    } catch (error) {
+        console.error("Error reading audit log:", error);
+        res.status(500).json({ error: "Could not read audit log", details: error.message });
+    }
+});
+
+// Export every matching entry, oldest first, as ?format=csv (default) or json
+app.get('/api/audit/export', requireAdmin, async (req, res) => {
+    const filter = parseAuditFilter(req.query);
+    if (filter.error) return res.status(400).json({ error: filter.error });
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const fileName = `kimmeldrive-audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.attachment(fileName);
+    res.type(format === 'json' ? 'application/json' : 'text/csv; charset=utf-8');
+    let count = 0;
+    try {
+        res.write(format === 'json' ? '[\n' : AUDIT_CSV_COLUMNS.join(',') + '\r\n');
+        await forEachAuditEntry(filter, entry => {
+            if (format === 'json') res.write((count > 0 ? ',\n' : '') + JSON.stringify(entry));
+            else res.write(AUDIT_CSV_COLUMNS.map(column => toCsvField(entry[column])).join(',') + '\r\n');
+            count++;
+        });
+        res.end(format === 'json' ? '\n]\n' : '');
+        console.log(`Audit log exported as ${format}: ${count} entries (User: ${req.user.username})`);
+    } catch (error) {
+        console.error("Error exporting audit log:", error);
+        res.destroy(error); // Headers are out; a cut-off download is the only way left to signal failure
+    }
+});
+
+// Start a new log file now (also happens automatically at AUDIT_ROTATE_SIZE_MB)
+app.post('/api/audit/rotate', requireAdmin, async (req, res) => {
+    // The chain itself must never stay rejected, or every later entry would be dropped; the error goes to this response
+    const rotation = auditWriteChain.then(rotateAuditLog);
+    auditWriteChain = rotation.catch(() => {});
+    try {
+        await rotation;
+        res.json({ message: "Audit log rotated.", files: await listRotatedAuditFiles() });
+    } catch (error) {
+        console.error("Error rotating audit log:", error);
+        res.status(500).json({ error: "Could not rotate audit log", details: error.message });
+    }
+});
+
+// --- API Routes ---
+
+// --- Directory Listing Helpers ---
+const BROWSE_SORT_KEYS = ['name', 'size', 'mtime', 'type'];
+const BROWSE_MAX_LIMIT = 1000;
+const STAT_CONCURRENCY = 32; // Parallel fs.stat calls while building a listing
+
+// Run an async function over items with a bounded number in flight, keeping the result order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+function getExtension(name) {
+    const ext = path.extname(name);
+    return ext ? ext.slice(1).toLowerCase() : '';
+}
+
+// MIME type guessed from the file extension (the same table express.static uses)
+function getMimeType(name) {
+    return express.static.mime.lookup(name) || 'application/octet-stream';
+}
+
+// Fill in size/mtime on a listing entry; broken symlinks and vanished entries keep null values
+async function statListingEntry(item) {
+    if (item.stats !== undefined) return item;
+    item.stats = item.fullPath ? await fs.stat(item.fullPath).catch(() => null) : null;
+    return item;
+}
+
+// The listing entry the client renders for a stat'ed item ({ name, is_dir, path, fullPath, stats, is_shared, drive })
+async function toListingEntry(item) {
+    const entry = {
+        name: item.name,
+        is_dir: item.is_dir,
+        path: item.path,
+        size: item.is_dir ? null : (item.stats?.size ?? null),
+        mtime: item.stats ? item.stats.mtime.toISOString() : null,
+        mime_type: item.is_dir ? null : getMimeType(item.name)
+    };
+    if (!item.is_dir && canThumbnail(item.name)) entry.thumbnail = true; // Served by /api/thumbnail
+    if (item.is_dir) entry.child_count = await countDirectoryChildren(item.fullPath);
+    if (item.is_shared) entry.is_shared = true;
+    if (item.drive) entry.drive = publicDrive(item.drive);
+    return entry;
+}
+
+async function countDirectoryChildren(fullPath) {
+    try {
+        const dirents = await fs.readdir(fullPath);
+        return dirents.filter(name => !isInternalPath(path.join(fullPath, name))).length;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Parse the listing query (?sort=&order=&type=&ext=&hidden=&offset=&limit=)
+function parseBrowseOptions(query) {
+    const sort = BROWSE_SORT_KEYS.includes(query.sort) ? query.sort : 'name';
+    const order = query.order === 'desc' ? 'desc' : 'asc';
+    const type = ['file', 'dir'].includes(query.type) ? query.type : null;
+    const extensions = query.ext
+        ? String(query.ext).split(',').map(ext => ext.trim().replace(/^\./, '').toLowerCase()).filter(Boolean)
+        : [];
+    const showHidden = !['0', 'false', 'no'].includes(String(query.hidden ?? 'true').toLowerCase());
+    const offset = Math.max(0, parseInt(query.offset, 10) || 0);
+    const parsedLimit = parseInt(query.limit, 10);
+    const limit = parsedLimit > 0 ? Math.min(parsedLimit, BROWSE_MAX_LIMIT) : null; // null: everything
+    return { sort, order, type, extensions, showHidden, offset, limit };
+}
+
+function compareListingEntries(a, b, sort) {
+    const byName = a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+    if (sort === 'size') return ((a.stats?.size ?? -1) - (b.stats?.size ?? -1)) || byName;
+    if (sort === 'mtime') return ((a.stats?.mtimeMs ?? 0) - (b.stats?.mtimeMs ?? 0)) || byName;
+    if (sort === 'type') return getExtension(a.name).localeCompare(getExtension(b.name)) || byName;
+    return byName;
+}
+
+// Browse files and folders.
+// Folders always come before files; only the requested page is stat'ed unless sorting needs size or date.
+app.get('/api/browse/:subpath(*)?', async (req, res) => {
+    const subpath = req.params.subpath || '';
+    const currentPath = await getSafePath(subpath, req.user);
+
+    if (!currentPath || !await fs.pathExists(currentPath)) {
+         // Handle case where path doesn't exist (might happen after delete/move)
+         return res.status(404).json({ error: "Path not found", path: subpath });
+    }
+    if(!(await fs.stat(currentPath)).isDirectory()){
+        return res.status(400).json({ error: "Path is not a directory", path: subpath });
+    }
+
+    const options = parseBrowseOptions(req.query);
+
+    try {
+        const dirents = await fs.readdir(currentPath, { withFileTypes: true });
+        const basePath = getViewBasePath(req.user, currentPath);
+        const allowed = await Promise.all(dirents.map(dirent => {
+            const fullPath = path.join(currentPath, dirent.name);
+            return !isInternalPath(fullPath) && isAllowedEntry(fullPath, dirent.isSymbolicLink(), basePath);
+        }));
+        let items = dirents.filter((dirent, index) => allowed[index]).map(dirent => {
+            const itemName = dirent.name;
+            return {
+                name: itemName,
+                is_dir: dirent.isDirectory(),
+                // Construct relative path for frontend links, ensure forward slashes
+                path: path.join(subpath, itemName).replace(/\\/g, '/'),
+                fullPath: path.join(currentPath, itemName)
+            };
+        });
+
+        // Drives and (for regular users) assigned shared folders are top-level folders, shadowing same-named root entries
+        if (!subpath) {
+            const mounts = getMountedFolders(req.user);
+            items = items
+                .filter(item => !mounts.some(mount => mount.name === item.name))
+                .concat(mounts.map(mount => ({ name: mount.name, is_dir: true, path: mount.name, is_shared: !mount.drive, drive: mount.drive, fullPath: mount.fullPath })));
+        }
+
+        items = items.filter(item => {
+            if (!options.showHidden && item.name.startsWith('.')) return false;
+            if (options.type === 'file' && item.is_dir) return false;
+            if (options.type === 'dir' && !item.is_dir) return false;
+            // Folders stay in an extension-filtered listing so it can still be navigated
+            if (options.extensions.length > 0 && !item.is_dir && !options.extensions.includes(getExtension(item.name))) return false;
+            return true;
+        });
+
+        if (options.sort === 'size' || options.sort === 'mtime') {
+            await mapWithConcurrency(items, STAT_CONCURRENCY, statListingEntry);
+        }
+        const direction = options.order === 'desc' ? -1 : 1;
+        items.sort((a, b) => {
+            if (a.is_dir !== b.is_dir) {
+                return a.is_dir ? -1 : 1; // Directories first
+            }
+            return direction * compareListingEntries(a, b, options.sort);
+        });
+
+        const total = items.length;
+        const page = options.limit ? items.slice(options.offset, options.offset + options.limit) : items.slice(options.offset);
+        const pageItems = await mapWithConcurrency(page, STAT_CONCURRENCY, async (item) => toListingEntry(await statListingEntry(item)));
+
+        // Calculate parent path (relative)
+        let parentPath = null;
+        if (subpath) {
+            parentPath = path.dirname(subpath).replace(/\\/g, '/');
+            if (parentPath === '.') parentPath = ''; // Root represented by empty string
+        }
+
+        const nextOffset = options.offset + pageItems.length;
+        const currentDrive = getDriveOf(currentPath);
+        const result = {
+            current_path: subpath,
+            parent_path: parentPath,
+            items: pageItems,
+            total: total,
+            offset: options.offset,
+            limit: options.limit,
+            next_offset: nextOffset < total ? nextOffset : null,
+            sort: options.sort,
+            order: options.order,
+            // The flags of the drive this folder is on (null: the main storage), so clients can hide what isn't allowed
+            drive: currentDrive ? publicDrive(currentDrive, req.user) : null
+        };
+        // The top level lists the configured drives this user can open
+        if (!subpath) {
+            result.drives = await mapWithConcurrency(getUserDrives(req.user), STAT_CONCURRENCY, async drive => ({ ...publicDrive(drive, req.user), available: await isExistingDirectory(drive.path) }));
+        }
+        res.json(result);
+    } catch (error) {
+        console.error(`Error listing directory ${currentPath}:`, error);
+        res.status(500).json({ error: "Error listing files", details: error.message });
+    }
+});
+
+// --- Search ---
+
+// Map an absolute path back to the path this user sees it under, or null when it is outside their view
+function toUserPath(user, fullPath) {
+    const mounts = getMountedFolders(user);
+    for (const mount of mounts) {
+        if (isSameOrInside(fullPath, mount.fullPath)) {
+            return path.join(mount.name, path.relative(mount.fullPath, fullPath)).split(path.sep).join('/');
+        }
+    }
+    const root = getUserRoot(user);
+    if (!fullPath.startsWith(root + path.sep)) return null;
+    const relativePath = path.relative(root, fullPath).split(path.sep).join('/');
+    // Root entries with the name of a mounted folder are shadowed by it
+    return mounts.some(mount => mount.name === relativePath.split('/')[0]) ? null : relativePath;
+}
+
+// Children of a folder as the user sees them, as [{ userPath, fullPath }] (drives and shared folders are mounted at the top)
+async function listViewChildren(user, fullPath, userPath) {
+    const dirents = await fs.readdir(fullPath, { withFileTypes: true });
+    const basePath = getViewBasePath(user, fullPath);
+    const allowed = await Promise.all(dirents.map(dirent => (
+        !isInternalPath(path.join(fullPath, dirent.name)) && isAllowedEntry(path.join(fullPath, dirent.name), dirent.isSymbolicLink(), basePath)
+    )));
+    let children = dirents
+        .filter((dirent, index) => allowed[index])
+        .map(dirent => ({ userPath: userPath ? `${userPath}/${dirent.name}` : dirent.name, fullPath: path.join(fullPath, dirent.name) }));
+    if (!userPath) {
+        const mounts = getMountedFolders(user);
+        children = children
+            .filter(child => !mounts.some(mount => mount.name === child.userPath))
+            .concat(mounts.map(mount => ({ userPath: mount.name, fullPath: mount.fullPath })));
+    }
+    return children;
+}
+
+// The folders a search or report below scopePath covers: a user's whole view includes their mounted folders
+function getViewScopes(user, scopePath) {
+    return scopePath === getUserRoot(user) ? [scopePath, ...getMountedFolders(user).map(mount => mount.fullPath)] : [scopePath];
+}
+
+// A pattern with * or ? is a glob on the whole name; anything else matches as a substring (both case-insensitive)
+function compileNamePattern(query) {
+    if (/[*?]/.test(query)) {
+        const source = query.split('').map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+        const regex = new RegExp(`^${source}$`, 'i');
+        return name => regex.test(name);
+    }
+    const needle = query.toLowerCase();
+    return name => name.toLowerCase().includes(needle);
+}
+
+// Up to SEARCH_SNIPPETS_PER_FILE matching lines (one per line), trimmed around the match
+function getContentSnippets(text, needle) {
+    const snippets = [];
+    const lowerText = text.toLowerCase();
+    let lineNumber = 1;
+    let scannedUpTo = 0;
+    let index = lowerText.indexOf(needle);
+    while (index !== -1 && snippets.length < SEARCH_SNIPPETS_PER_FILE) {
+        for (let i = scannedUpTo; i < index; i++) if (text[i] === '\n') lineNumber++;
+        const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+        let lineEnd = text.indexOf('\n', index);
+        if (lineEnd === -1) lineEnd = text.length;
+        const from = Math.max(lineStart, index - Math.floor(SEARCH_SNIPPET_LENGTH / 2));
+        const to = Math.min(lineEnd, from + SEARCH_SNIPPET_LENGTH);
+        snippets.push({
+            line: lineNumber,
+            text: `${from > lineStart ? '…' : ''}${text.slice(from, to).trim()}${to < lineEnd ? '…' : ''}`
+        });
+        scannedUpTo = index;
+        index = lowerText.indexOf(needle, lineEnd);
+    }
+    return snippets;
+}
+
+// Search file and folder names (glob or substring) and the contents of text files below a folder.
+// ?q=pattern&path=folder&mode=all|name|content&limit=n
+app.get('/api/search', async (req, res) => {
+    const query = String(req.query.q || '').trim();
+    if (!query) {
+        return res.status(400).json({ error: "Missing search query 'q'." });
+    }
+    const mode = ['name', 'content'].includes(req.query.mode) ? req.query.mode : 'all';
+    const limit = Math.min(parseInt(req.query.limit, 10) || SEARCH_MAX_RESULTS, SEARCH_MAX_RESULTS);
+    const scopeSuffix = String(req.query.path || '');
+    const scopePath = await getSafePath(scopeSuffix, req.user);
+    if (!scopePath) {
+        return res.status(400).json({ error: "Invalid search folder." });
+    }
+
+    // Searching a user's whole view also covers their drives and shared folders
+    const scopes = getViewScopes(req.user, scopePath);
+
+    const matchesName = compileNamePattern(query);
+    const needle = query.toLowerCase();
+    const results = [];
+    let truncated = false;
+    for (const [fullPath, entry] of searchIndex) {
+        if (!scopes.some(scope => fullPath.startsWith(scope + path.sep))) continue;
+        if (entry.symlink && !await isAllowedEntry(fullPath, true, getViewBasePath(req.user, fullPath))) continue;
+        const nameMatch = mode !== 'content' && matchesName(entry.name);
+        const text = mode !== 'name' && entry.text_on_disk ? await fs.readFile(fullPath, 'utf8').catch(() => null) : entry.text;
+        const snippets = mode !== 'name' && text ? getContentSnippets(text, needle) : [];
+        if (!nameMatch && snippets.length === 0) continue;
+        const itemPath = toUserPath(req.user, fullPath);
+        if (itemPath === null) continue;
+        if (results.length >= limit) {
+            truncated = true;
+            break;
+        }
+        const parentPath = path.posix.dirname(itemPath);
+        results.push({
+            name: entry.name,
+            path: itemPath,
+            parent_path: parentPath === '.' ? '' : parentPath,
+            is_dir: entry.is_dir,
+            size: entry.is_dir ? null : entry.size,
+            mtime: new Date(entry.mtime).toISOString(),
+            name_match: nameMatch,
+            snippets: snippets
+        });
+    }
+
+    // Name matches first, then by path
+    results.sort((a, b) => (b.name_match - a.name_match) || a.path.localeCompare(b.path, undefined, { numeric: true, sensitivity: 'base' }));
+    res.json({ query: query, mode: mode, path: scopeSuffix, results: results, truncated: truncated, indexing: !searchIndexReady });
+});
+
+// --- File Hashes & Duplicates ---
+const DUPLICATE_UPLOAD_MODES = ['skip', 'link']; // What to do with an upload whose contents already exist in its folder
+const DUPLICATES_MAX_GROUPS = 1000;
+
+// SHA-256 of a file (computed now when it isn't cached yet)
+app.get('/api/hash/:filepath(*)', async (req, res) => {
+    const filepath = req.params.filepath;
+    const fullPath = await getSafePath(filepath, req.user);
+    if (!fullPath) {
+        return res.status(400).json({ error: "Invalid file path." });
+    }
+    try {
+        const stats = await fs.stat(fullPath).catch(() => null);
+        if (!stats) return res.status(404).json({ error: `File not found: ${filepath}` });
+        if (!stats.isFile()) return res.status(400).json({ error: "Only files have a hash." });
+        const cached = !!getCachedHash({ inode: stats.ino, size: stats.size, mtime: stats.mtimeMs });
+        const sha256 = await getFileHash(fullPath);
+        res.json({ path: filepath, sha256: sha256, size: stats.size, cached: cached });
+    } catch (error) {
+        console.error(`Error hashing ${fullPath}:`, error);
+        res.status(500).json({ error: "Could not hash file", details: error.message });
+    }
+});
+
+// Groups of identical files below ?path= (default: everything the user sees), most wasted space first.
+// Only files that share their size with another file can be identical; those the background hasher hasn't
+// reached yet are moved to the front of its queue and counted as "pending", so asking again completes the report.
+app.get('/api/duplicates', async (req, res) => {
+    const scopeSuffix = String(req.query.path || '');
+    const scopePath = await getSafePath(scopeSuffix, req.user);
+    if (!scopePath) {
+        return res.status(400).json({ error: "Invalid folder." });
+    }
+    const minSize = Math.max(1, parseInt(req.query.min_size, 10) || 1); // Empty files are all alike but waste nothing
+
+    const scopes = getViewScopes(req.user, scopePath);
+
+    const bySize = new Map();
+    for (const [fullPath, entry] of searchIndex) {
+        if (entry.is_dir || entry.size < minSize) continue;
+        if (!scopes.some(scope => fullPath.startsWith(scope + path.sep))) continue;
+        const itemPath = toUserPath(req.user, fullPath);
+        if (itemPath === null) continue;
+        if (!bySize.has(entry.size)) bySize.set(entry.size, []);
+        bySize.get(entry.size).push({ fullPath, entry, itemPath });
+    }
+
+    const byHash = new Map();
+    const unhashed = [];
+    for (const files of bySize.values()) {
+        if (files.length < 2) continue;
+        for (const file of files) {
+            const sha256 = getCachedHash(file.entry);
+            if (!sha256) {
+                unhashed.push(file.fullPath);
+                continue;
+            }
+            if (!byHash.has(sha256)) byHash.set(sha256, { sha256: sha256, size: file.entry.size, paths: [], inodes: new Set() });
+            const group = byHash.get(sha256);
+            group.paths.push(file.itemPath);
+            group.inodes.add(file.entry.inode);
+        }
+    }
+    if (unhashed.length > 0) prioritizeFileHashes(unhashed);
+
+    // Hard links to one file share its data, so only distinct inodes waste space
+    const groups = [...byHash.values()]
+        .filter(group => group.paths.length > 1)
+        .map(group => ({
+            sha256: group.sha256,
+            size: group.size,
+            count: group.paths.length,
+            wasted: group.size * (group.inodes.size - 1),
+            paths: group.paths.sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }))
+        }))
+        .sort((a, b) => b.wasted - a.wasted || b.count - a.count);
+
+    res.json({
+        path: scopeSuffix,
+        groups: groups.slice(0, DUPLICATES_MAX_GROUPS),
+        total_wasted: groups.reduce((sum, group) => sum + group.wasted, 0),
+        truncated: groups.length > DUPLICATES_MAX_GROUPS,
+        pending: unhashed.length,
+        indexing: !searchIndexReady
+    });
+});
+
+// The file an upload duplicates in its own folder, if any
+async function findUploadDuplicate(filePath, dir) {
+    const stats = await fs.stat(filePath);
+    return findIdenticalFile(dir, stats.size, await getFileHash(filePath), filePath);
+}
+
+// Replace an uploaded file by a hard link to identicalPath, so both names share one copy of the data
+// (a change to either name shows in both). The upload stays as it is when the file system can't link.
+async function linkUploadToDuplicate(uploadedPath, identicalPath) {
+    const linkPath = path.join(path.dirname(uploadedPath), `.${path.basename(uploadedPath)}.${uuidv4()}.link`);
+    try {
+        await fs.link(identicalPath, linkPath);
+        await fs.rename(linkPath, uploadedPath);
+        return true;
+    } catch (error) {
+        await fs.remove(linkPath).catch(() => {});
+        console.warn(`Could not link ${uploadedPath} to ${identicalPath}, keeping the upload:`, error.message);
+        return false;
+    }
+}
+
+// Describe an upload whose contents identicalPath already holds.
+// "link" reports the hard link made under the requested name (savedPath); "skip" says nothing was stored.
+function describeDuplicateUpload(targetDir, requestedName, identicalPath, savedPath) {
+    const existingRelativePath = path.relative(targetDir, identicalPath).split(path.sep).join('/');
+    const requestedRelativePath = String(requestedName).split(/[\\/]+/).filter(Boolean).join('/');
+    if (savedPath) {
+        return { ...describeUploadedFile(targetDir, requestedName, savedPath), duplicate_of: existingRelativePath, linked: true };
+    }
+    return {
+        original_name: requestedRelativePath,
+        saved_as: null,
+        renamed: false,
+        duplicate_of: existingRelativePath,
+        skipped: true
+    };
+}
+
+// Describe where an uploaded file ended up, relative to the upload target folder
+function describeUploadedFile(targetDir, requestedName, savedPath) {
+    const savedRelativePath = path.relative(targetDir, savedPath).split(path.sep).join('/');
+    const requestedRelativePath = String(requestedName).split(/[\\/]+/).filter(Boolean).join('/');
+    return {
+        original_name: requestedRelativePath,
+        saved_as: savedRelativePath,
+        renamed: path.basename(savedPath) !== sanitizeName(path.basename(requestedRelativePath))
+    };
+}
+
+// Upload one or more files (uses multer middleware defined earlier).
+// Send a single file as "file", or many as "files"; a file name like "folder/sub/file.txt" recreates those folders.
+// ?duplicates=skip drops files whose contents already exist in their target folder; ?duplicates=link stores them as
+// hard links to the existing file instead (see linkUploadToDuplicate).
+app.post('/api/upload/:subpath(*)?', audit('upload', req => ({ path: getAuditPath(req.user, req.params.subpath || '') })), limitUploads, checkUploadSpace, receiveUploadedFiles, async (req, res) => {
+    // Multer handles the saving. We just respond.
+    const uploadedFiles = [...(req.files?.file || []), ...(req.files?.files || [])];
+    if (uploadedFiles.length === 0) {
+        // This might happen if the destination callback in multer failed or filter rejected
+        return res.status(400).json({ error: "File upload failed or was rejected." });
+    }
+    const subpath = req.params.subpath || '';
+    const duplicatesMode = DUPLICATE_UPLOAD_MODES.includes(req.query.duplicates) ? req.query.duplicates : null;
+    const files = [];
+    const storedPaths = [];
+    try {
+        const targetDir = req.uploadTargetDir;
+        for (const file of uploadedFiles) {
+            const identicalPath = duplicatesMode ? await findUploadDuplicate(file.path, file.destination).catch(() => null) : null;
+            if (identicalPath && duplicatesMode === 'skip') {
+                await fs.remove(file.path);
+                files.push(describeDuplicateUpload(targetDir, file.originalname, identicalPath, null));
+                console.log(`Upload of ${file.originalname} to /${subpath} dropped: identical to ${identicalPath}`);
+                continue;
+            }
+            // ?conflict=overwrite replaces existing files (keeping their old contents as a version) instead of renaming the upload
+            await placeUploadedFile(file, file.uploadDestination.name, { overwrite: req.query.conflict === 'overwrite', user: req.user });
+            if (identicalPath && identicalPath !== file.path && await linkUploadToDuplicate(file.path, identicalPath)) {
+                files.push(describeDuplicateUpload(targetDir, file.originalname, identicalPath, file.path));
+                console.log(`Upload of ${file.originalname} to /${subpath} linked to identical ${identicalPath}`);
+            } else {
+                files.push(describeUploadedFile(targetDir, file.originalname, file.path));
+                console.log(`File uploaded: ${files[files.length - 1].saved_as} to /${subpath}`);
+            }
+            storedPaths.push(file.path);
+            updateSearchIndex(file.path);
+        }
+    } catch (error) {
+        await removeUnplacedUploads(uploadedFiles);
+        console.error(`Error finishing upload to /${subpath}:`, error);
+        return res.status(500).json({ error: `Failed to store uploaded files: ${error.message}` });
+    }
+    const duplicates = files.filter(file => file.duplicate_of !== undefined);
+    res.locals.audit = { details: { files: storedPaths.map(toStoragePath), duplicates: duplicates.length } };
+
+    let message = files.length === 1
+        ? `File "${files[0].saved_as}" uploaded successfully to /${subpath}`
+        : `${storedPaths.length} files uploaded successfully to /${subpath}`;
+    if (files.length === 1 && duplicates.length === 1) {
+        message = files[0].linked
+            ? `"${files[0].saved_as}" is identical to "${files[0].duplicate_of}" and was stored as a link to it`
+            : `"${files[0].original_name}" is identical to "${files[0].duplicate_of}", which is already in /${subpath}; nothing was stored`;
+    } else if (duplicates.length > 0) {
+        message += files.some(file => file.linked)
+            ? ` (${duplicates.length} identical to files already there were stored as links to them)`
+            : ` (${duplicates.length} identical to files already there were not stored)`;
+    }
+    res.json({ message: message, files: files, renamed: files.filter(file => file.renamed), duplicates: duplicates });
+}, (error, req, res, next) => {
+    // Express error handler specifically for multer errors
+    console.error("Upload error:", error);
+    if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `Upload failed: files may be at most ${formatBytes(res.locals.maxUploadBytes)}` });
+    }
+    if (error.code === 'LIMIT_STORAGE_ROOM') {
+        res.set('Connection', 'close');
+        return res.status(507).json({ error: error.message });
+    }
+    res.status(400).json({ error: `Upload failed: ${error.message}` });
+});
+
+
+// --- Resumable (Chunked) Uploads ---
+// Protocol:
+//   POST   /api/uploads               { path, filename, size, sha256?, fingerprint? } -> { upload_id, offset }
+//                                      (filename may be a relative path such as "folder/file.txt")
+//   GET    /api/uploads/:id           -> { offset, size, ... }  (used to resume after a reload)
+//   PATCH  /api/uploads/:id           raw bytes, headers "Upload-Offset" and optional "Upload-Checksum: sha256 <base64>"
+//   POST   /api/uploads/:id/finalize  { sha256? } -> moves the file into its target folder
+//   DELETE /api/uploads/:id           aborts and removes the partial data
+// Partial data lives in UPLOADS_ROOT until finalize, so nothing half-written appears in the target folder.
+
+function getUploadPartPath(uploadId) {
+    return path.join(UPLOADS_ROOT, `${uploadId}.part`);
+}
+
+function publicUploadSession(uploadId) {
+    const session = uploadSessions[uploadId];
+    return {
+        upload_id: uploadId,
+        path: session.path,
+        filename: session.filename,
+        size: session.size,
+        offset: session.offset,
+        created_at: session.created_at,
+        updated_at: session.updated_at
+    };
+}
+
+// Load a session owned by the current user, or answer 404
+function getOwnUploadSession(req, res) {
+    const { uploadId } = req.params;
+    const session = Object.prototype.hasOwnProperty.call(uploadSessions, uploadId) ? uploadSessions[uploadId] : null;
+    if (!session || session.owner !== req.user.username) {
+        res.status(404).json({ error: "Upload session not found (it may have expired)." });
+        return null;
+    }
+    return session;
+}
+
+async function discardUploadSession(uploadId) {
+    await fs.remove(getUploadPartPath(uploadId));
+    delete uploadSessions[uploadId];
+    await saveUploadSessions();
+}
+
+// Start (or resume) an upload session
+app.post('/api/uploads', limitUploads, async (req, res) => {
+    const { path: targetSuffix, filename, size, sha256, fingerprint, conflict, duplicates } = req.body;
+    const fileSize = Number(size);
+
+    if (!filename || !Number.isInteger(fileSize) || fileSize < 0) {
+        return res.status(400).json({ error: "filename and a non-negative integer size are required." });
+    }
+    if (sha256 !== undefined && !/^[a-f0-9]{64}$/i.test(String(sha256))) {
+        return res.status(400).json({ error: "sha256 must be a hex encoded SHA-256 digest." });
+    }
+    const targetDir = await getSafePath(targetSuffix || '', req.user);
+    if (!targetDir || !await fs.pathExists(targetDir) || !(await fs.stat(targetDir)).isDirectory()) {
+        return res.status(400).json({ error: "Invalid or non-existent target folder." });
+    }
+    const writeProblem = getWriteProblem(targetDir);
+    if (writeProblem) {
+        return res.status(403).json({ error: writeProblem });
+    }
+    const maxUploadBytes = getMaxUploadBytes(targetDir);
+    if (maxUploadBytes && fileSize > maxUploadBytes) {
+        return res.status(413).json({ error: `Files may be at most ${formatBytes(maxUploadBytes)}` });
+    }
+
+    // A client that lost its upload id (e.g. after a reload) finds its session again by fingerprint (for the same target only)
+    if (fingerprint) {
+        const existingId = Object.keys(uploadSessions).find(id => {
+            const session = uploadSessions[id];
+            return session.owner === req.user.username && session.fingerprint === String(fingerprint) && session.size === fileSize &&
+                session.path === (targetSuffix || '') && session.filename === String(filename);
+        });
+        if (existingId) {
+            console.log(`Resuming upload session ${existingId} at offset ${uploadSessions[existingId].offset}`);
+            return res.json({ ...publicUploadSession(existingId), resumed: true });
+        }
+    }
+
+    const spaceProblem = await checkStorageSpace(req.user, targetDir, fileSize);
+    if (spaceProblem) {
+        return res.status(507).json({ error: spaceProblem });
+    }
+
+    const uploadId = uuidv4();
+    try {
+        const now = new Date().toISOString();
+        // Register the session before creating the part file so the sweeper never sees an orphan
+        uploadSessions[uploadId] = {
+            owner: req.user.username,
+            path: targetSuffix || '',
+            filename: String(filename),
+            size: fileSize,
+            offset: 0,
+            sha256: sha256 ? String(sha256).toLowerCase() : null,
+            fingerprint: fingerprint ? String(fingerprint) : null,
+            conflict: conflict === 'overwrite' ? 'overwrite' : 'rename',
+            duplicates: DUPLICATE_UPLOAD_MODES.includes(duplicates) ? duplicates : null,
+            created_at: now,
+            updated_at: now
+        };
+        await fs.writeFile(getUploadPartPath(uploadId), Buffer.alloc(0));
+        await saveUploadSessions();
+        console.log(`Upload session started: ${uploadId} (${filename}, ${fileSize} bytes) by ${req.user.username}`);
+        res.status(201).json({ ...publicUploadSession(uploadId), resumed: false });
+    } catch (error) {
+        delete uploadSessions[uploadId];
+        console.error(`Error starting upload session for ${filename}:`, error);
+        res.status(500).json({ error: "Could not start upload", details: error.message });
+    }
+});
+
+// Query an upload's current offset
+app.get('/api/uploads/:uploadId', (req, res) => {
+    if (!getOwnUploadSession(req, res)) return;
+    res.json(publicUploadSession(req.params.uploadId));
+});
+
+// Append a chunk at the given offset
+app.patch('/api/uploads/:uploadId', async (req, res) => {
+    const { uploadId } = req.params;
+    const session = getOwnUploadSession(req, res);
+    if (!session) return;
+
+    const clientOffset = Number(req.get('upload-offset'));
+    if (!Number.isInteger(clientOffset) || clientOffset !== session.offset) {
+        return res.status(409).json({ error: "Upload-Offset does not match the server offset.", offset: session.offset });
+    }
+    if (session.busy) {
+        return res.status(409).json({ error: "Another request for this upload is still in progress.", offset: session.offset });
+    }
+
+    let expectedChecksum = null;
+    const checksumHeader = req.get('upload-checksum');
+    if (checksumHeader) {
+        const [algorithm, value] = checksumHeader.trim().split(/\s+/);
+        if (algorithm !== 'sha256' || !value) {
+            return res.status(400).json({ error: "Upload-Checksum must look like 'sha256 <base64 digest>'." });
+        }
+        expectedChecksum = value;
+    }
+
+    const remaining = session.size - session.offset;
+    const chunkHash = crypto.createHash('sha256');
+    let received = 0;
+    const counter = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            if (received > remaining) {
+                return callback(new Error('Chunk exceeds the declared file size.'));
+            }
+            chunkHash.update(chunk);
+            callback(null, chunk);
+        }
+    });
+
+    session.busy = true;
+    const partPath = getUploadPartPath(uploadId);
+    const startOffset = session.offset;
+    try {
+        await pipelineAsync(req, counter, fs.createWriteStream(partPath, { flags: 'r+', start: startOffset }));
+
+        if (expectedChecksum && chunkHash.digest('base64') !== expectedChecksum) {
+            await fs.truncate(partPath, startOffset);
+            // 460 "Checksum Mismatch", as used by the tus protocol
+            return res.status(460).json({ error: "Chunk checksum mismatch; please resend this chunk.", offset: startOffset });
+        }
+        session.offset = startOffset + received;
+        res.json({ offset: session.offset, size: session.size });
+    } catch (error) {
+        // Connection dropped or chunk too large: keep what was written, unless it can't be verified
+        if (expectedChecksum || received > remaining) {
+            await fs.truncate(partPath, startOffset).catch(() => {});
+            session.offset = startOffset;
+        } else {
+            const partStats = await fs.stat(partPath).catch(() => null);
+            session.offset = partStats ? partStats.size : startOffset;
+        }
+        console.warn(`Upload chunk for ${uploadId} interrupted at offset ${session.offset}: ${error.message}`);
+        if (!res.headersSent) {
+            res.status(received > remaining ? 413 : 400).json({ error: `Chunk upload failed: ${error.message}`, offset: session.offset });
+        }
+    } finally {
+        session.busy = false;
+        session.updated_at = new Date().toISOString();
+        saveUploadSessions();
+    }
+});
+
+// Verify and move a completed upload into its target folder
+app.post('/api/uploads/:uploadId/finalize', audit('upload', req => ({ details: { upload_id: req.params.uploadId } })), async (req, res) => {
+    const { uploadId } = req.params;
+    const session = getOwnUploadSession(req, res);
+    if (!session) return;
+
+    if (session.busy) {
+        return res.status(409).json({ error: "Another request for this upload is still in progress.", offset: session.offset });
+    }
+    if (session.offset !== session.size) {
+        return res.status(409).json({ error: `Upload is incomplete (${session.offset} of ${session.size} bytes).`, offset: session.offset });
+    }
+
+    // Busy until done, so a second finalize (or a late chunk) can't race this one for the part file
+    session.busy = true;
+    try {
+        const targetDir = await getSafePath(session.path, req.user);
+        res.locals.audit = { path: getAuditPath(req.user, session.path) };
+        if (!targetDir || !await fs.pathExists(targetDir)) {
+            return res.status(400).json({ error: "Target folder no longer exists." });
+        }
+
+        const partPath = getUploadPartPath(uploadId);
+        const expected = (req.body && req.body.sha256 ? String(req.body.sha256) : session.sha256 || '').toLowerCase();
+        const actual = await hashFile(partPath);
+        if (expected && expected !== actual) {
+            console.warn(`Checksum mismatch for upload ${uploadId}: expected ${expected}, got ${actual}`);
+            await discardUploadSession(uploadId);
+            return res.status(422).json({ error: "Checksum mismatch: the uploaded data is corrupt. Please upload the file again.", sha256: actual });
+        }
+
+        // filename may carry a relative path (folder uploads), which is rebuilt under the target
+        const destination = await resolveUploadDestination(targetDir, session.filename);
+        if (!destination) {
+            return res.status(400).json({ error: `Invalid file name or relative path: "${session.filename}"` });
+        }
+        // The hash is known now, so an identical file in the target folder is found before anything is moved into place
+        const identicalPath = session.duplicates ? await findIdenticalFile(destination.dir, session.size, actual) : null;
+        if (identicalPath && session.duplicates === 'skip') {
+            await discardUploadSession(uploadId);
+            const file = describeDuplicateUpload(targetDir, session.filename, identicalPath, null);
+            res.locals.audit.details = { duplicate_of: toStoragePath(identicalPath) };
+            console.log(`Upload ${uploadId} (${session.filename}) dropped: identical to ${identicalPath}`);
+            return res.json({ message: `"${file.original_name}" is identical to "${file.duplicate_of}", which is already in /${session.path}; nothing was stored`, filename: path.basename(identicalPath), sha256: actual, ...file });
+        }
+
+        // The quota may have filled up while the chunks came in; the session is kept so it can be finished after making room
+        const spaceProblem = await checkStorageSpace(req.user, destination.dir, session.size, { onDisk: true });
+        if (spaceProblem) {
+            return res.status(507).json({ error: spaceProblem });
+        }
+        await fs.ensureDir(destination.dir);
+        const finalName = session.conflict === 'overwrite'
+            ? await getOverwriteFilename(req.user, destination.dir, destination.name)
+            : await getAvailableFilename(destination.dir, destination.name);
+        const finalPath = path.join(destination.dir, finalName);
+        await fs.move(partPath, finalPath, { overwrite: true }); // Only replaces anything with conflict 'overwrite'
+        const linked = identicalPath && identicalPath !== finalPath ? await linkUploadToDuplicate(finalPath, identicalPath) : false;
+        updateSearchIndex(finalPath);
+        setAuditPath(res, finalPath);
+        delete uploadSessions[uploadId];
+        await saveUploadSessions();
+
+        if (linked) {
+            const file = describeDuplicateUpload(targetDir, session.filename, identicalPath, finalPath);
+            res.locals.audit.details = { duplicate_of: toStoragePath(identicalPath) };
+            console.log(`Upload ${uploadId} (${session.filename}) linked to identical ${identicalPath}`);
+            return res.json({ message: `"${file.saved_as}" is identical to "${file.duplicate_of}" and was stored as a link to it`, filename: finalName, sha256: actual, ...file });
+        }
+        const file = describeUploadedFile(targetDir, session.filename, finalPath);
+        console.log(`File uploaded (chunked): ${file.saved_as} to /${session.path}`);
+        res.json({ message: `File "${file.saved_as}" uploaded successfully to /${session.path}`, filename: finalName, sha256: actual, ...file });
+    } catch (error) {
+        console.error(`Error finalizing upload ${uploadId}:`, error);
+        res.status(500).json({ error: `Could not finalize upload: ${error.message}` });
+    } finally {
+        session.busy = false; // Only matters when the session is kept (e.g. no room yet)
+    }
+});
+
+// Abort an upload
+app.delete('/api/uploads/:uploadId', async (req, res) => {
+    const session = getOwnUploadSession(req, res);
+    if (!session) return;
+    if (session.busy) {
+        return res.status(409).json({ error: "Another request for this upload is still in progress.", offset: session.offset });
+    }
+    await discardUploadSession(req.params.uploadId);
+    console.log(`Upload session aborted: ${req.params.uploadId}`);
+    res.json({ message: "Upload aborted." });
+});
+
+
+// Download a file (Also used for previewing/editing text content)
+app.get('/download/:filepath(*)', async (req, res) => {
+    const filepath = req.params.filepath;
+    // ?preview=1 marks requests of the preview dialog, so the audit log can tell them from downloads
+    auditResponse(req, res, req.query.preview ? 'preview' : 'download', () => (isRangeContinuation(req) ? null : { path: getAuditPath(req.user, filepath) }));
+    const safeFullPath = await getSafePath(filepath, req.user);
+
+    if (!safeFullPath) {
+        return res.status(400).send("Invalid file path.");
+    }
+
+    try {
+        // Check existence before stating
+        if (!await fs.pathExists(safeFullPath)) {
+             return res.status(404).send("File not found.");
+        }
+        const stats = await fs.stat(safeFullPath);
+        if (stats.isDirectory()) {
+            // Folders are streamed as an archive (?format=tar.gz for a tarball)
+            const format = req.query.format || 'zip';
+            if (!Object.prototype.hasOwnProperty.call(ARCHIVE_FORMATS, format)) {
+                return res.status(400).send(`Unsupported archive format. Use one of: ${Object.keys(ARCHIVE_FORMATS).join(', ')}`);
+            }
+            const folderName = path.basename(safeFullPath) || 'KimmelDrive';
+            console.log(`Streaming folder as ${format}: ${safeFullPath}`);
+            return streamArchive(res, [{ fullPath: safeFullPath, name: false, is_dir: true }], folderName, format);
+        }
+        if (!stats.isFile()) {
+            return res.status(400).send("Path is not a file."); // Use 400 Bad Request for type mismatch
+        }
+
+        const filename = path.basename(safeFullPath);
+        console.log(`Attempting download/access: ${filename} from ${safeFullPath}`);
+        res.set('ETag', getFileEtag(stats)); // The editor sends this back as If-Match when saving
+
+        // Use res.download for explicit download prompts
+        // For previews (like text), the browser's fetch might just get the content directly
+        // We can add 'Accept' header check later if needed to differentiate intent.
+        res.download(safeFullPath, filename, (err) => {
+            if (err) {
+                // Handle specific errors if possible (e.g., permission denied)
+                console.error(`Error sending file ${filename}:`, err);
+                // Avoid sending another response if headers already sent
+                if (!res.headersSent) {
+                    res.status(500).send("Error occurred during file download.");
+                }
+            } else {
+                console.log(`File sent: ${filename}`);
+            }
+        });
+    } catch (error) {
+        // Handle errors like file not found during stat (should be caught by pathExists now)
+        console.error(`Error accessing file ${safeFullPath}:`, error);
+        res.status(500).send("Server error accessing file.");
+    }
+});
+
+// Create a directory
+app.post('/api/mkdir', audit('mkdir', req => ({ path: getAuditPath(req.user, [req.body.parent_path, req.body.dir_name].filter(Boolean).join('/')) })), async (req, res) => {
+    const { parent_path, dir_name } = req.body;
+
+    if (!dir_name) {
+        return res.status(400).json({ error: "Directory name is required." });
+    }
+    // Basic sanitization for directory name
+    const safeDirName = dir_name.replace(/[/\\?%*:|"<>]/g, '_').replace(/^\.+$/, '_'); // Avoid '.' or '..' and illegal chars
+    if (!safeDirName || safeDirName === '.' || safeDirName === '..') {
+        return res.status(400).json({ error: "Invalid directory name provided."});
+    }
+
+    const parentDir = await getSafePath(parent_path || '', req.user); // Default to root if not specified
+    if (!parentDir || !await fs.pathExists(parentDir) || !(await fs.stat(parentDir)).isDirectory()) {
+        return res.status(400).json({ error: "Invalid or non-existent parent path." });
+    }
+    const writeProblem = getWriteProblem(parentDir);
+    if (writeProblem) {
+        return res.status(403).json({ error: writeProblem });
+    }
+
+    const newDirPath = path.join(parentDir, safeDirName);
+
+    try {
+        if (await fs.pathExists(newDirPath)) {
+            return res.status(409).json({ error: `Directory or file '${safeDirName}' already exists.` }); // 409 Conflict
+        }
+        await fs.ensureDir(newDirPath); // fs-extra creates directory
+        updateSearchIndex(newDirPath);
+        console.log(`Directory created: ${newDirPath}`);
+        res.json({ message: `Directory '${safeDirName}' created successfully in /${parent_path || ''}` });
+    } catch (error) {
+        console.error(`Error creating directory ${newDirPath}:`, error);
+        res.status(500).json({ error: "Could not create directory", details: error.message });
+    }
+});
+
+// Delete a file or directory
+app.post('/api/delete', audit('delete', req => ({ path: getAuditPath(req.user, req.body.path) })), async (req, res) => {
+    const { path: itemPathSuffix } = req.body;
+    if (!itemPathSuffix) {
+        return res.status(400).json({ error: "Missing 'path' in request" });
+    }
+
+    try {
+        const result = await deleteItem(req.user, itemPathSuffix);
+        if (!result.ok) return res.status(result.status).json({ error: result.error });
+        res.json({ message: `Item '${result.name}' moved to trash`, trash_id: result.trash_id });
+    } catch (error) {
+        console.error(`Error deleting item ${itemPathSuffix}:`, error);
+        res.status(500).json({ error: "Could not delete item", details: error.message });
+    }
+});
+
+
+// --- Recycle Bin Routes ---
+
+// List trashed items (own items; admins see everyone's)
+app.get('/api/trash', (req, res) => {
+    const items = Object.keys(trashItems)
+        .filter(id => canAccessTrashItem(req.user, trashItems[id]))
+        .map(id => publicTrashItem(id))
+        .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at));
+    res.json({ items: items, retention_days: TRASH_RETENTION_DAYS });
+});
+
+// Restore a trashed item to its original location.
+// conflict: 'rename' (restore under a new name) or 'overwrite' (move the current item to the trash first).
+// Without a conflict policy, a taken original path answers 409.
+const describeTrashRequest = req => {
+    const trashItem = findTrashItem(req.params.trashId);
+    return { path: trashItem ? trashItem.storage_path.split(path.sep).join('/') : null, details: { trash_id: req.params.trashId } };
+};
+
+app.post('/api/trash/:trashId/restore', audit('restore', describeTrashRequest), async (req, res) => {
+    const { trashId } = req.params;
+    const { conflict } = req.body;
+    const trashItem = findTrashItem(trashId);
+
+    if (!trashItem || !canAccessTrashItem(req.user, trashItem)) {
+        return res.status(404).json({ error: "Item not found in trash." });
+    }
+    if (conflict !== undefined && conflict !== 'rename' && conflict !== 'overwrite') {
+        return res.status(400).json({ error: "conflict must be 'rename' or 'overwrite'." });
+    }
+
+    const trashedPath = path.join(TRASH_ROOT, trashId);
+    // Stored relative to the storage root (or drive), so restores don't depend on the user's current view; but the item
+    // only goes back there if the user can still reach it (a shared folder or drive may have been taken away since).
+    // Otherwise it is restored into their home folder.
+    let restorePath = fromStoragePath(trashItem.storage_path, `Trash: ${trashId}`);
+    let restoreUserPath = restorePath ? toUserPath(req.user, restorePath) : null;
+    const accessiblePath = restoreUserPath !== null ? await getSafePath(restoreUserPath, req.user) : null;
+    const restoredToHome = Boolean(restorePath && !accessiblePath);
+    if (restoredToHome) {
+        restorePath = path.join(HOMES_ROOT, req.user.username, sanitizeName(trashItem.name));
+        restoreUserPath = toUserPath(req.user, restorePath);
+    } else if (accessiblePath) {
+        restorePath = accessiblePath;
+    }
+    if (restorePath) restorePath = await applySymlinkPolicy(restorePath, getStorageRootOf(restorePath), `Trash: ${trashId}`);
+    if (!restorePath || isInternalPath(restorePath)) {
+        return res.status(400).json({ error: "Original location is invalid." });
+    }
+    const writeProblem = getWriteProblem(restorePath);
+    if (writeProblem) {
+        return res.status(403).json({ error: writeProblem });
+    }
+
+    try {
+        if (!await fs.pathExists(trashedPath)) {
+            delete trashItems[trashId];
+            await saveTrashItems();
+            return res.status(404).json({ error: "Trashed data is missing; the entry was removed." });
+        }
+        // Restored data counts towards the quotas again (it is moved, so it needs no new disk space)
+        const restoredSize = trashItem.is_dir ? await measureFolder(trashedPath) : (await fs.stat(trashedPath)).size;
+        const spaceProblem = await checkStorageSpace(req.user, path.dirname(restorePath), restoredSize, { sourcePath: trashedPath });
+        if (spaceProblem) {
+            return res.status(507).json({ error: spaceProblem });
+        }
+
+        if (await fs.pathExists(restorePath)) {
+            if (!conflict) {
+                return res.status(409).json({
+                    error: `An item already exists at /${restoreUserPath}.`,
+                    conflict: true,
+                    path: restoreUserPath
+                });
+            }
+            if (conflict === 'overwrite') {
+                await moveToTrash(req.user, restorePath, restoreUserPath);
+            } else {
+                const ext = trashItem.is_dir ? '' : path.extname(trashItem.name);
+                const base = path.basename(trashItem.name, ext);
+                restorePath = path.join(path.dirname(restorePath), `${base}_restored_${Date.now()}${ext}`);
+            }
+        }
+
+        await fs.ensureDir(path.dirname(restorePath)); // The original parent may have been deleted too
+        await fs.move(trashedPath, restorePath);
+        updateSearchIndex(restorePath);
+        delete trashItems[trashId];
+        await saveTrashItems();
+
+        const restoredName = path.basename(restorePath);
+        const restoredUserPath = toUserPath(req.user, restorePath);
+        console.log(`Restored from trash: ${trashId} -> ${restorePath} (User: ${req.user.username})`);
+        res.json({
+            message: restoredToHome
+                ? `Item '${restoredName}' restored to /${restoredUserPath}, as its original location is no longer available to you.`
+                : `Item '${restoredName}' restored successfully.`,
+            restored_name: restoredName,
+            restored_path: restoredUserPath
+        });
+    } catch (error) {
+        console.error(`Error restoring trash item ${trashId}:`, error);
+        res.status(500).json({ error: "Could not restore item", details: error.message });
+    }
+});
+
+// Permanently delete one trashed item
+app.delete('/api/trash/:trashId', audit('purge', describeTrashRequest), async (req, res) => {
+    const { trashId } = req.params;
+    const trashItem = findTrashItem(trashId);
+    if (!trashItem || !canAccessTrashItem(req.user, trashItem)) {
+        return res.status(404).json({ error: "Item not found in trash." });
+    }
+    try {
+        await purgeTrashItem(trashId);
+        await saveTrashItems();
+        res.json({ message: `Item '${trashItem.name}' permanently deleted.` });
+    } catch (error) {
+        console.error(`Error permanently deleting trash item ${trashId}:`, error);
+        res.status(500).json({ error: "Could not delete item", details: error.message });
+    }
+});
+
+// Empty the trash (own items; admins empty everything)
+app.delete('/api/trash', audit('purge', () => ({ details: { empty_trash: true } })), async (req, res) => {
+    const ids = Object.keys(trashItems).filter(id => canAccessTrashItem(req.user, trashItems[id]));
+    try {
+        for (const id of ids) {
+            await purgeTrashItem(id);
+        }
+        await saveTrashItems();
+        console.log(`Trash emptied by ${req.user.username}: ${ids.length} item(s)`);
+        res.json({ message: `Trash emptied (${ids.length} item(s) permanently deleted).` });
+    } catch (error) {
+        console.error(`Error emptying trash:`, error);
+        await saveTrashItems();
+        res.status(500).json({ error: "Could not empty trash", details: error.message });
+    }
+});
+
+
+// --- Sharing Routes ---
+
+// Parse the requested expiry: a number of hours, "never", or nothing (default duration)
+function parseShareExpiry(expiresInHours, createdAt, defaultHours = DEFAULT_SHARE_DURATION_HOURS) {
+    if (expiresInHours === undefined || expiresInHours === null || expiresInHours === '') {
+        return { expiresAt: new Date(createdAt.getTime() + defaultHours * 60 * 60 * 1000) };
+    }
+    if (expiresInHours === 'never') {
+        return { expiresAt: null };
+    }
+    const hours = Number(expiresInHours);
+    if (!Number.isFinite(hours) || hours <= 0) {
+        return { error: "expires_in_hours must be a positive number of hours or 'never'." };
+    }
+    return { expiresAt: new Date(createdAt.getTime() + hours * 60 * 60 * 1000) };
+}
+
+// Create a share link
+app.post('/api/share', audit('share_create', req => ({ path: getAuditPath(req.user, req.body.path) })), limitShareCreation, async (req, res) => {
+    const { path: filePathSuffix, expires_in_hours, password, max_downloads } = req.body;
+    if (!filePathSuffix) {
+         return res.status(400).json({ error: "Missing 'path' in request" });
+    }
+
+    const fileFullPath = await getSafePath(filePathSuffix, req.user);
+
+    if (!fileFullPath) {
+        return res.status(400).json({ error: "Invalid file path." });
+    }
+    const sharingProblem = getSharingProblem(fileFullPath);
+    if (sharingProblem) {
+        return res.status(403).json({ error: sharingProblem });
+    }
+
+    const creationTime = new Date(); // Current time (local timezone of server)
+    const expiry = parseShareExpiry(expires_in_hours, creationTime);
+    if (expiry.error) {
+        return res.status(400).json({ error: expiry.error });
+    }
+    let maxDownloads = null;
+    if (max_downloads !== undefined && max_downloads !== null && max_downloads !== '') {
+        maxDownloads = Number(max_downloads);
+        if (!Number.isInteger(maxDownloads) || maxDownloads < 1) {
+            return res.status(400).json({ error: "max_downloads must be a positive whole number." });
+        }
+    }
+
+    try {
+        if (!await fs.pathExists(fileFullPath)) {
+            return res.status(404).json({ error: "File not found for sharing." });
+        }
+        const stats = await fs.stat(fileFullPath);
+        if (!stats.isFile() && !stats.isDirectory()) {
+            return res.status(400).json({ error: "Only files and folders can be shared." });
+        }
+
+        // Generate ID and store with timestamp and access rules
+        const shareId = uuidv4();
+
+        shareLinks[shareId] = {
+            path: filePathSuffix, // Store relative path (relative to the owner's view)
+            owner: req.user.username,
+            is_dir: stats.isDirectory(), // Folder shares open a read-only listing
+            created_at: creationTime.toISOString(),
+            expires_at: expiry.expiresAt ? expiry.expiresAt.toISOString() : null,
+            password_hash: password ? await hashPassword(String(password)) : null,
+            max_downloads: maxDownloads,
+            download_count: 0,
+            last_accessed_at: null
+        };
+        await saveShareLinks();
+        res.locals.audit = { share_id: shareId, details: { expires_at: shareLinks[shareId].expires_at, has_password: !!password, max_downloads: maxDownloads } };
+        console.log(`Created share link: ${shareId} -> ${filePathSuffix} at ${creationTime.toISOString()} (expires: ${shareLinks[shareId].expires_at || 'never'})`);
+
+        // Construct full URL using request headers
+        const shareUrl = getShareUrl(req, shareId);
+
+        // Generate QR Code Data URL
+        let qrCodeDataUrl = null;
+        try {
+            qrCodeDataUrl = await QRCode.toDataURL(shareUrl);
+        } catch (qrErr) {
+            console.error(`Error generating QR code for ${shareId}:`, qrErr);
+            // Proceed without QR code if generation fails
+        }
+
+        res.json({
+            share_id: shareId,
+            share_url: shareUrl,
+            qr_code_data_url: qrCodeDataUrl,
+            expires_at: shareLinks[shareId].expires_at,
+            has_password: !!shareLinks[shareId].password_hash,
+            max_downloads: maxDownloads,
+            is_dir: stats.isDirectory()
+        });
+
+    } catch (error) {
+         // Catch stat errors too
+         console.error(`Error accessing file for sharing ${fileFullPath}:`, error);
+         res.status(500).json({ error: "Server error processing share request." });
+    }
+});
+
+// List active share links (own links; admins see all of them)
+app.get('/api/shares', (req, res) => {
+    const shares = Object.keys(shareLinks)
+        .filter(id => !getShareLinkProblem(shareLinks[id]))
+        .filter(id => req.user.role === 'admin' || shareLinks[id].owner === req.user.username)
+        .map(id => publicShareLink(req, id))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    res.json({ shares: shares });
+});
+
+// Revoke a share link
+app.delete('/api/shares/:shareId', async (req, res) => {
+    const shareInfo = findShareLink(req.params.shareId);
+    const owner = shareInfo ? findUser(shareInfo.owner) : null;
+    auditResponse(req, res, 'share_revoke', () => ({ path: owner ? getAuditPath(owner, shareInfo.path) : null, share_id: req.params.shareId }));
+    if (!shareInfo || (req.user.role !== 'admin' && shareInfo.owner !== req.user.username)) {
+        return res.status(404).json({ error: "Share link not found." });
+    }
+    delete shareLinks[req.params.shareId];
+    await saveShareLinks();
+    console.log(`Share link revoked: ${req.params.shareId} by ${req.user.username}`);
+    res.json({ message: "Share link revoked." });
+});
+
+// --- File Request Routes ---
+
+// Normalize allowed extensions given as an array or a comma/space separated string ("pdf, .docx tar.gz") to ['pdf', 'docx', 'tar.gz']
+function parseAllowedExtensions(value) {
+    if (value === undefined || value === null || value === '') return { extensions: [] };
+    const list = Array.isArray(value) ? value : String(value).split(/[\s,;]+/);
+    const extensions = [...new Set(list.map(ext => String(ext).trim().toLowerCase().replace(/^\.+/, '')).filter(Boolean))];
+    const invalid = extensions.find(ext => !/^[a-z0-9][a-z0-9+_.-]*$/.test(ext));
+    if (invalid) return { error: `Invalid file extension: "${invalid}".` };
+    return { extensions: extensions };
+}
+
+function hasAllowedExtension(link, fileName) {
+    if (!link.allowed_extensions || link.allowed_extensions.length === 0) return true;
+    const lowerName = fileName.toLowerCase();
+    return link.allowed_extensions.some(ext => lowerName.endsWith(`.${ext}`));
+}
+
+// The largest file a file request accepts: its own limit, capped by the server-wide and drive limits of its folder
+function getFileRequestMaxSize(link, targetDir) {
+    const limits = [link.max_file_size, getMaxUploadBytes(targetDir)].filter(Boolean);
+    return limits.length ? Math.min(...limits) : null;
+}
+
+// Parse an optional positive whole number from the request body; returns { value } or { error }
+function parseOptionalPositiveInteger(value, fieldName) {
+    if (value === undefined || value === null || value === '') return { value: null };
+    const number = Number(value);
+    if (!Number.isSafeInteger(number) || number < 1) return { error: `${fieldName} must be a positive whole number.` };
+    return { value: number };
+}
+
+// Create a file request for a folder. Body: { path, title?, expires_in_hours?, password?, max_file_size? (bytes), allowed_extensions?, max_files? }
+app.post('/api/file-requests', audit('request_create', req => ({ path: getAuditPath(req.user, req.body.path) })), limitShareCreation, async (req, res) => {
+    const { path: folderSuffix = '', title, expires_in_hours, password, max_file_size, allowed_extensions, max_files } = req.body;
+    const folderFullPath = await getSafePath(folderSuffix, req.user);
+    if (!folderFullPath) {
+        return res.status(400).json({ error: "Invalid folder path." });
+    }
+    // Visitors upload into the folder, so it has to be writable as well as shareable
+    const driveProblem = getSharingProblem(folderFullPath) || getWriteProblem(folderFullPath);
+    if (driveProblem) {
+        return res.status(403).json({ error: driveProblem });
+    }
+
+    const creationTime = new Date();
+    const expiry = parseShareExpiry(expires_in_hours, creationTime, DEFAULT_FILE_REQUEST_DURATION_HOURS);
+    if (expiry.error) {
+        return res.status(400).json({ error: expiry.error });
+    }
+    const maxFileSize = parseOptionalPositiveInteger(max_file_size, 'max_file_size');
+    const maxFiles = parseOptionalPositiveInteger(max_files, 'max_files');
+    const extensions = parseAllowedExtensions(allowed_extensions);
+    const problem = maxFileSize.error || maxFiles.error || extensions.error;
+    if (problem) {
+        return res.status(400).json({ error: problem });
+    }
+
+    try {
+        if (!await isExistingDirectory(folderFullPath)) {
+            return res.status(404).json({ error: "Folder not found for the file request." });
+        }
+
+        const requestId = uuidv4();
+        fileRequests[requestId] = {
+            path: toUserPath(req.user, folderFullPath), // Relative to the owner's view, like share links
+            owner: req.user.username,
+            title: title ? String(title).trim().slice(0, 200) : null,
+            created_at: creationTime.toISOString(),
+            expires_at: expiry.expiresAt ? expiry.expiresAt.toISOString() : null,
+            password_hash: password ? await hashPassword(String(password)) : null,
+            max_file_size: maxFileSize.value,
+            allowed_extensions: extensions.extensions,
+            max_files: maxFiles.value,
+            file_count: 0,
+            submission_count: 0,
+            last_submission_at: null
+        };
+        await saveFileRequests();
+        res.locals.audit = { share_id: requestId, details: { expires_at: fileRequests[requestId].expires_at, has_password: !!password, max_file_size: maxFileSize.value, allowed_extensions: extensions.extensions, max_files: maxFiles.value } };
+        console.log(`Created file request: ${requestId} -> ${folderFullPath} (expires: ${fileRequests[requestId].expires_at || 'never'})`);
+
+        const requestUrl = getFileRequestUrl(req, requestId);
+        let qrCodeDataUrl = null;
+        try {
+            qrCodeDataUrl = await QRCode.toDataURL(requestUrl);
+        } catch (qrErr) {
+            console.error(`Error generating QR code for file request ${requestId}:`, qrErr);
+        }
+        res.json({ ...publicFileRequest(req, requestId), qr_code_data_url: qrCodeDataUrl });
+    } catch (error) {
+        console.error(`Error creating file request for ${folderFullPath}:`, error);
+        res.status(500).json({ error: "Server error processing file request." });
+    }
+});
+
+// List open file requests (own requests; admins see all of them)
+app.get('/api/file-requests', (req, res) => {
+    const requests = Object.keys(fileRequests)
+        .filter(id => !getFileRequestProblem(fileRequests[id]))
+        .filter(id => req.user.role === 'admin' || fileRequests[id].owner === req.user.username)
+        .map(id => publicFileRequest(req, id))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    res.json({ requests: requests });
+});
+
+// Close a file request
+app.delete('/api/file-requests/:requestId', async (req, res) => {
+    const link = findFileRequest(req.params.requestId);
+    const owner = link ? findUser(link.owner) : null;
+    auditResponse(req, res, 'request_revoke', () => ({ path: owner ? getAuditPath(owner, link.path) : null, share_id: req.params.requestId }));
+    if (!link || (req.user.role !== 'admin' && link.owner !== req.user.username)) {
+        return res.status(404).json({ error: "File request not found." });
+    }
+    delete fileRequests[req.params.requestId];
+    await saveFileRequests();
+    console.log(`File request closed: ${req.params.requestId} by ${req.user.username}`);
+    res.json({ message: "File request closed." });
+});
+
+// --- Public Share Pages ---
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Encode each segment of a relative path for use in a URL, keeping the slashes
+function encodePathForUrl(relativePath) {
+    return relativePath.split('/').map(encodeURIComponent).join('/');
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    const units = ['KB', 'MB', 'GB', 'TB'];
+    let value = bytes / 1024;
+    let unitIndex = 0;
+    while (value >= 1024 && unitIndex < units.length - 1) {
+        value /= 1024;
+        unitIndex++;
+    }
+    return `${value.toFixed(1)} ${units[unitIndex]}`;
+}
+
+// Shared page shell for everything a (logged-out) share visitor sees
+function renderSharePage(title, bodyHtml) {
+    return `<!DOCTYPE html>
+<html lang="nl">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)} - KimmelDrive</title>
+    <style>
+        body { font-family: sans-serif; background: #fefbff; color: #1b1b1f; margin: 0; padding: 16px; box-sizing: border-box; }
+        .center { display: flex; align-items: center; justify-content: center; min-height: calc(100vh - 32px); }
+        .card { background: #fefbff; max-width: 900px; margin: 0 auto; padding: 20px; border-radius: 16px; box-shadow: 0 1px 2px 0 rgba(0,0,0,0.1), 0 1px 3px 1px rgba(0,0,0,0.08); }
+        h1 { font-size: 1.4rem; font-weight: 500; color: #0b57d0; margin: 0 0 8px; word-break: break-all; }
+        .path { font-size: 0.875rem; color: #44474f; margin-bottom: 16px; word-break: break-all; }
+        form { background: #e1e2ec; padding: 24px; border-radius: 16px; display: flex; flex-direction: column; gap: 12px; width: 100%; max-width: 360px; box-sizing: border-box; }
+        input { padding: 12px 14px; border: 1px solid #74777f; border-radius: 4px; font-size: 1rem; }
+        button, .button { display: inline-block; padding: 10px 20px; border: none; border-radius: 999px; background: #0b57d0; color: #fff; font-size: 0.875rem; cursor: pointer; text-decoration: none; }
+        .error { color: #ba1a1a; font-size: 0.875rem; }
+        table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+        td { padding: 10px 4px; border-bottom: 1px solid #e1e2ec; font-size: 0.95rem; word-break: break-all; }
+        td.meta { color: #44474f; font-size: 0.8rem; white-space: nowrap; text-align: right; }
+        a { color: #0b57d0; text-decoration: none; }
+        a:hover { text-decoration: underline; }
+    </style>
+</head>
+<body>
+${bodyHtml}
+</body>
+</html>`;
+}
+
+// Minimal password page for protected share links (and, with another action and intro, file requests)
+function renderSharePasswordPage(shareId, errorMessage = '', { action = `/share/${shareId}`, intro = 'Deze deellink is beveiligd met een wachtwoord.' } = {}) {
+    return renderSharePage('Beveiligde deellink', `
+    <div class="center">
+    <form method="POST" action="${escapeHtml(action)}">
+        <strong>${escapeHtml(intro)}</strong>
+        ${errorMessage ? `<span class="error">${escapeHtml(errorMessage)}</span>` : ''}
+        <input type="password" name="password" placeholder="Wachtwoord" autofocus required>
+        <button type="submit">Openen</button>
+    </form>
+    </div>`);
+}
+
+// Read-only listing of (a subfolder of) a shared folder
+function renderShareFolderPage(shareId, rootName, subpath, items) {
+    const baseUrl = `/share/${escapeHtml(shareId)}`;
+    const rows = items.map(item => {
+        const encodedPath = escapeHtml(encodePathForUrl(item.path));
+        if (item.is_dir) {
+            return `<tr><td>&#128193; <a href="${baseUrl}/browse/${encodedPath}">${escapeHtml(item.name)}</a></td><td class="meta"></td><td class="meta"><a href="${baseUrl}/zip/${encodedPath}">zip</a></td></tr>`;
+        }
+        return `<tr><td>&#128196; <a href="${baseUrl}/download/${encodedPath}">${escapeHtml(item.name)}</a></td><td class="meta">${formatBytes(item.size)}</td><td class="meta">${escapeHtml(new Date(item.mtime).toLocaleString('nl-NL'))}</td></tr>`;
+    }).join('\n');
+
+    let parentLink = '';
+    if (subpath) {
+        const parentPath = path.posix.dirname(subpath);
+        const parentUrl = parentPath === '.' ? baseUrl : `${baseUrl}/browse/${escapeHtml(encodePathForUrl(parentPath))}`;
+        parentLink = `<p><a href="${parentUrl}">&#8593; Bovenliggende map</a></p>`;
+    }
+    const zipUrl = subpath ? `${baseUrl}/zip/${escapeHtml(encodePathForUrl(subpath))}` : `${baseUrl}/zip`;
+
+    return renderSharePage(rootName, `
+    <div class="card">
+        <h1>${escapeHtml(rootName)}</h1>
+        <div class="path">/${escapeHtml(subpath)}</div>
+        ${parentLink}
+        <a class="button" href="${zipUrl}">Alles downloaden (zip)</a>
+        <table>${rows || '<tr><td><em>Deze map is leeg.</em></td></tr>'}</table>
+    </div>`);
+}
+
+// Value of the cookie that remembers a visitor entered the right password (changes when the password does)
+function getShareUnlockValue(shareId, shareInfo) {
+    return crypto.createHmac('sha256', SERVER_SECRET).update(`${shareId}:${shareInfo.password_hash}`).digest('hex');
+}
+
+function isShareUnlocked(req, shareId, shareInfo) {
+    const cookieValue = parseCookies(req.headers.cookie)[`kd_share_${shareId}`];
+    if (!cookieValue) return false;
+    const expected = Buffer.from(getShareUnlockValue(shareId, shareInfo));
+    const actual = Buffer.from(cookieValue);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Counted once the response is complete: HEAD requests, partial (Range) responses and aborted downloads don't use up max_downloads
+function recordShareDownload(req, res, share) {
+    if (req.method !== 'GET') return;
+    res.on('finish', () => {
+        if (res.statusCode !== 200) return;
+        share.shareInfo.download_count = (share.shareInfo.download_count || 0) + 1;
+        share.shareInfo.last_accessed_at = new Date().toISOString();
+        saveShareLinks();
+    });
+}
+
+// Validate a share link for a visitor. Sends the error (or password page) itself and returns null when access is not allowed.
+async function loadShareForVisitor(req, res, { allowPasswordPost = false } = {}) {
+    const { shareId } = req.params;
+
+    const shareInfo = findShareLink(shareId); // Get potential link info
+
+    if (!shareInfo) {
+        console.log(`Share ID not found: ${shareId}`);
+        res.status(404).send("Share link is invalid or has expired.");
+        return null;
+    }
+
+    // Check expiry and download limit
+    const problem = getShareLinkProblem(shareInfo);
+    if (problem) {
+        console.log(`Share link no longer valid: ${shareId} (${problem})`);
+        // Clean up the expired link
+        delete shareLinks[shareId];
+        saveShareLinks();
+        res.status(410).send(problem === 'expired'
+            ? `Share link has expired (expired at ${shareInfo.expires_at}).`
+            : "Share link has reached its maximum number of downloads."); // 410 Gone
+        return null;
+    }
+
+    if (shareInfo.password_hash && !isShareUnlocked(req, shareId, shareInfo)) {
+        const providedPassword = allowPasswordPost && req.method === 'POST' && req.body ? req.body.password : undefined;
+        if (!providedPassword) {
+            if (!allowPasswordPost) {
+                res.redirect(303, `/share/${shareId}`); // Sub-pages send visitors to the password form first
+            } else {
+                res.status(401).send(renderSharePasswordPage(shareId));
+            }
+            return null;
+        }
+        if (!await verifyPassword(String(providedPassword), shareInfo.password_hash)) {
+            console.warn(`Wrong password for share link ${shareId} from ${req.ip}`);
+            res.status(401).send(renderSharePasswordPage(shareId, 'Onjuist wachtwoord.'));
+            return null;
+        }
+        res.cookie(`kd_share_${shareId}`, getShareUnlockValue(shareId, shareInfo), {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: req.secure,
+            path: `/share/${shareId}`
+        });
+    }
+
+    // Link is valid, resolve the shared item (paths are resolved in the owner's view)
+    const owner = findUser(shareInfo.owner);
+    const filePathSuffix = shareInfo.path;
+    const safeFullPath = owner ? await getSafePath(filePathSuffix, owner) : null;
+
+    if (!safeFullPath) {
+         // Maybe path became invalid somehow?
+         console.error(`Invalid path derived from valid share link ID ${shareId}: ${filePathSuffix}`);
+         delete shareLinks[shareId]; // Clean up broken link
+         saveShareLinks();
+         res.status(404).send("Shared file path is invalid.");
+         return null;
+    }
+
+    // Check existence and type before serving
+    if (!await fs.pathExists(safeFullPath)) {
+         console.warn(`Shared path does not exist: ${safeFullPath} (ID: ${shareId})`);
+         delete shareLinks[shareId];
+         saveShareLinks();
+         res.status(404).send("The shared item is no longer available.");
+         return null;
+    }
+    const stats = await fs.stat(safeFullPath);
+    if (stats.isDirectory() !== !!shareInfo.is_dir) {
+         console.warn(`Shared item changed type: ${safeFullPath} (ID: ${shareId})`);
+         delete shareLinks[shareId];
+         saveShareLinks();
+         res.status(404).send("The shared item is no longer available.");
+         return null;
+    }
+
+    // Not removed: the link works again once the drive allows sharing
+    const sharingProblem = getSharingProblem(safeFullPath);
+    if (sharingProblem) {
+        console.warn(`Share link ${shareId} refused: ${sharingProblem}`);
+        res.status(403).send("This share link is currently not available.");
+        return null;
+    }
+
+    setAuditPath(res, safeFullPath);
+    return { shareId, shareInfo, rootPath: safeFullPath };
+}
+
+// Resolve a path inside a shared folder; visitors can never leave the shared folder
+async function getShareSubPath(share, subpath = '') {
+    const fullPath = resolveInside(share.rootPath, subpath, `Share: ${share.shareId}`);
+    return fullPath ? applySymlinkPolicy(fullPath, share.rootPath, `Share: ${share.shareId}`) : null;
+}
+
+function sendSharedFile(req, res, share, fullPath) {
+    const filename = path.basename(fullPath);
+    recordShareDownload(req, res, share);
+    console.log(`Serving shared file: ${filename} (ID: ${share.shareId}, ${share.shareInfo.download_count || 0}${share.shareInfo.max_downloads ? `/${share.shareInfo.max_downloads}` : ''} earlier download(s))`);
+    res.download(fullPath, filename, (err) => {
+         if (err) {
+            console.error(`Error sending shared file ${filename}:`, err);
+            if (!res.headersSent) {
+                res.status(500).send("Error downloading shared file.");
+            }
+        } else {
+            console.log(`Shared file sent: ${filename}`);
+        }
+    });
+}
+
+// Stream a folder as a zip archive straight to the response (no temp files)
+function streamFolderAsZip(res, folderPath, zipName) {
+    streamArchive(res, [{ fullPath: folderPath, name: false, is_dir: true }], zipName, 'zip');
+}
+
+async function sendShareFolderListing(res, share, subpath) {
+    const folderPath = await getShareSubPath(share, subpath);
+    if (!folderPath || !await fs.pathExists(folderPath) || !(await fs.stat(folderPath)).isDirectory()) {
+        return res.status(404).send("Folder not found in this share.");
+    }
+
+    const allDirents = await fs.readdir(folderPath, { withFileTypes: true });
+    const allowed = await Promise.all(allDirents.map(dirent => isAllowedEntry(path.join(folderPath, dirent.name), dirent.isSymbolicLink(), share.rootPath)));
+    const dirents = allDirents.filter((dirent, index) => allowed[index]);
+    const items = await Promise.all(dirents.map(async dirent => {
+        const stats = await fs.stat(path.join(folderPath, dirent.name)).catch(() => null);
+        return {
+            name: dirent.name,
+            is_dir: dirent.isDirectory(),
+            path: subpath ? `${subpath}/${dirent.name}` : dirent.name,
+            size: stats ? stats.size : 0,
+            mtime: stats ? stats.mtime : null
+        };
+    }));
+    items.sort((a, b) => {
+        if (a.is_dir !== b.is_dir) return a.is_dir ? -1 : 1;
+        return a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+    });
+    res.send(renderShareFolderPage(share.shareId, path.basename(share.rootPath), subpath, items));
+}
+
+// Access a shared file or folder (POST is used by the password form)
+async function handleShareAccess(req, res) {
+    try {
+        const share = await loadShareForVisitor(req, res, { allowPasswordPost: true });
+        if (!share) return;
+
+        if (share.shareInfo.is_dir) {
+            // After a successful password POST, redirect so a refresh doesn't resubmit the form
+            if (req.method === 'POST') return res.redirect(303, `/share/${share.shareId}`);
+            return await sendShareFolderListing(res, share, '');
+        }
+        sendSharedFile(req, res, share, share.rootPath);
+    } catch (error) {
+        console.error(`Error accessing share ${req.params.shareId}:`, error);
+        if (!res.headersSent) res.status(500).send("Server error accessing shared item.");
+    }
+}
+
+// Every visit of a share link is audited; the handlers fill in the item it led to
+function auditShareAccess(view) {
+    return audit('share_access', req => (isRangeContinuation(req) ? null : { share_id: req.params.shareId, details: { view: view } }));
+}
+
+app.get('/share/:shareId', auditShareAccess('open'), handleShareAccess);
+app.post('/share/:shareId', auditShareAccess('open'), handleShareAccess);
+
+// Browse a subfolder of a shared folder
+app.get('/share/:shareId/browse/:subpath(*)?', auditShareAccess('browse'), async (req, res) => {
+    try {
+        const share = await loadShareForVisitor(req, res);
+        if (!share) return;
+        if (!share.shareInfo.is_dir) return res.redirect(303, `/share/${share.shareId}`);
+        const subpath = (req.params.subpath || '').replace(/\/+$/, '');
+        const folderPath = await getShareSubPath(share, subpath);
+        if (folderPath) setAuditPath(res, folderPath);
+        await sendShareFolderListing(res, share, subpath);
+    } catch (error) {
+        console.error(`Error browsing share ${req.params.shareId}:`, error);
+        if (!res.headersSent) res.status(500).send("Server error accessing shared folder.");
+    }
+});
+
+// Download a single file from a shared folder
+app.get('/share/:shareId/download/:subpath(*)', auditShareAccess('download'), async (req, res) => {
+    try {
+        const share = await loadShareForVisitor(req, res);
+        if (!share) return;
+        if (!share.shareInfo.is_dir) return res.redirect(303, `/share/${share.shareId}`);
+
+        const fullPath = await getShareSubPath(share, req.params.subpath);
+        if (fullPath) setAuditPath(res, fullPath);
+        if (!fullPath || !await fs.pathExists(fullPath) || !(await fs.stat(fullPath)).isFile()) {
+            return res.status(404).send("File not found in this share.");
+        }
+        sendSharedFile(req, res, share, fullPath);
+    } catch (error) {
+        console.error(`Error downloading from share ${req.params.shareId}:`, error);
+        if (!res.headersSent) res.status(500).send("Server error accessing shared file.");
+    }
+});
+
+// Download a shared folder (or one of its subfolders) as a zip
+app.get('/share/:shareId/zip/:subpath(*)?', auditShareAccess('zip'), async (req, res) => {
+    try {
+        const share = await loadShareForVisitor(req, res);
+        if (!share) return;
+        if (!share.shareInfo.is_dir) return res.redirect(303, `/share/${share.shareId}`);
+
+        const subpath = (req.params.subpath || '').replace(/\/+$/, '');
+        const folderPath = await getShareSubPath(share, subpath);
+        if (folderPath) setAuditPath(res, folderPath);
+        if (!folderPath || !await fs.pathExists(folderPath) || !(await fs.stat(folderPath)).isDirectory()) {
+            return res.status(404).send("Folder not found in this share.");
+        }
+        recordShareDownload(req, res, share);
+        console.log(`Serving shared folder as zip: ${folderPath} (ID: ${share.shareId})`);
+        streamFolderAsZip(res, folderPath, path.basename(folderPath));
+    } catch (error) {
+        console.error(`Error zipping share ${req.params.shareId}:`, error);
+        if (!res.headersSent) res.status(500).send("Server error creating zip.");
+    }
+});
+
+// --- Public File Request Pages ---
+// GET shows the upload form (after the password, if any); every POST to /upload is one submission and gets its own
+// subfolder "<date time>[ <sender name>]" in the target folder. A submission is stored completely or not at all.
+
+function renderFileRequestMessage(title, message, backUrl = null) {
+    return renderSharePage(title, `
+    <div class="card">
+        <h1>${escapeHtml(title)}</h1>
+        <p>${escapeHtml(message)}</p>
+        ${backUrl ? `<p><a href="${escapeHtml(backUrl)}">&#8592; Terug</a></p>` : ''}
+    </div>`);
+}
+
+function renderFileRequestPage(requestId, link, targetDir) {
+    const rules = [];
+    const maxSize = getFileRequestMaxSize(link, targetDir);
+    if (maxSize) rules.push(`Maximaal ${formatBytes(maxSize)} per bestand`);
+    if (link.allowed_extensions.length) rules.push(`Toegestane bestandstypen: ${link.allowed_extensions.map(ext => `.${ext}`).join(', ')}`);
+    if (link.max_files) rules.push(`Nog ${link.max_files - (link.file_count || 0)} bestand(en) mogelijk`);
+    rules.push(link.expires_at ? `Open tot ${new Date(link.expires_at).toLocaleString('nl-NL')}` : 'Geen einddatum');
+    const accept = link.allowed_extensions.map(ext => `.${ext}`).join(',');
+    return renderSharePage(link.title || 'Bestanden aanleveren', `
+    <div class="card">
+        <h1>${escapeHtml(link.title || 'Bestanden aanleveren')}</h1>
+        <div class="path">${escapeHtml(link.owner)} vraagt je om bestanden te uploaden. Je kunt geen andere bestanden bekijken of downloaden.</div>
+        <ul>${rules.map(rule => `<li>${escapeHtml(rule)}</li>`).join('')}</ul>
+        <form method="POST" action="/request/${escapeHtml(requestId)}/upload" enctype="multipart/form-data">
+            <input type="text" name="name" placeholder="Je naam (optioneel)" maxlength="60">
+            <input type="file" name="files" multiple required${accept ? ` accept="${escapeHtml(accept)}"` : ''}>
+            <button type="submit">Versturen</button>
+        </form>
+    </div>`);
+}
+
+// Validate a file request for a visitor. Sends the error (or password page) itself and returns null when it can't be used.
+async function loadFileRequestForVisitor(req, res, { allowPasswordPost = false } = {}) {
+    const { requestId } = req.params;
+    const link = findFileRequest(requestId);
+    if (!link) {
+        res.status(404).send(renderFileRequestMessage('Link niet gevonden', 'Deze uploadlink bestaat niet (meer).'));
+        return null;
+    }
+    const problem = getFileRequestProblem(link);
+    if (problem) {
+        console.log(`File request no longer open: ${requestId} (${problem})`);
+        delete fileRequests[requestId];
+        saveFileRequests();
+        res.status(410).send(renderFileRequestMessage('Link gesloten', problem === 'expired'
+            ? 'Deze uploadlink is verlopen.'
+            : 'Via deze uploadlink zijn al het maximale aantal bestanden verstuurd.'));
+        return null;
+    }
+
+    // Unlocked like share links: an HMAC cookie scoped to this link's path
+    if (link.password_hash && !isShareUnlocked(req, requestId, link)) {
+        const passwordPage = (message) => renderSharePasswordPage(requestId, message, { action: `/request/${requestId}`, intro: 'Deze uploadlink is beveiligd met een wachtwoord.' });
+        const providedPassword = allowPasswordPost && req.method === 'POST' && req.body ? req.body.password : undefined;
+        if (!providedPassword) {
+            if (!allowPasswordPost) res.redirect(303, `/request/${requestId}`);
+            else res.status(401).send(passwordPage(''));
+            return null;
+        }
+        if (!await verifyPassword(String(providedPassword), link.password_hash)) {
+            console.warn(`Wrong password for file request ${requestId} from ${req.ip}`);
+            res.status(401).send(passwordPage('Onjuist wachtwoord.'));
+            return null;
+        }
+        res.cookie(`kd_share_${requestId}`, getShareUnlockValue(requestId, link), {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: req.secure,
+            path: `/request/${requestId}`
+        });
+    }
+
+    const owner = findUser(link.owner);
+    const targetDir = owner ? await getSafePath(link.path, owner) : null;
+    if (!targetDir || !await isExistingDirectory(targetDir)) {
+        console.warn(`Target folder of file request ${requestId} is gone: ${link.path}`);
+        delete fileRequests[requestId];
+        saveFileRequests();
+        res.status(404).send(renderFileRequestMessage('Link gesloten', 'De map voor deze uploadlink bestaat niet meer.'));
+        return null;
+    }
+    // The drive's flags may have changed since the link was made; the link works again once they allow it
+    const driveProblem = getSharingProblem(targetDir) || getWriteProblem(targetDir);
+    if (driveProblem) {
+        console.warn(`File request ${requestId} refused: ${driveProblem}`);
+        res.status(403).send(renderFileRequestMessage('Link niet beschikbaar', 'Via deze uploadlink kunnen op dit moment geen bestanden worden verstuurd.'));
+        return null;
+    }
+    return { requestId, link, owner, targetDir };
+}
+
+async function handleFileRequestPage(req, res) {
+    try {
+        const fileRequest = await loadFileRequestForVisitor(req, res, { allowPasswordPost: true });
+        if (!fileRequest) return;
+        // After a successful password POST, redirect so a refresh doesn't resubmit the form
+        if (req.method === 'POST') return res.redirect(303, `/request/${fileRequest.requestId}`);
+        res.send(renderFileRequestPage(fileRequest.requestId, fileRequest.link, fileRequest.targetDir));
+    } catch (error) {
+        console.error(`Error opening file request ${req.params.requestId}:`, error);
+        if (!res.headersSent) res.status(500).send("Server error opening file request.");
+    }
+}
+
+app.get('/request/:requestId', handleFileRequestPage);
+app.post('/request/:requestId', handleFileRequestPage);
+
+// Files accepted by submissions still in progress, per request id: with max_files, every file takes a slot as it arrives,
+// so submissions running at the same time can't together go over the limit. Released when the submission's response is done.
+const fileRequestReservations = new Map();
+
+// Files the link still takes, not counting those reserved by other submissions (ownReserved: this submission's reservations)
+function getOpenFileRequestSlots(requestId, link, ownReserved = 0) {
+    const reservedByOthers = (fileRequestReservations.get(requestId) || 0) - ownReserved;
+    return Math.max(0, link.max_files - (link.file_count || 0) - reservedByOthers);
+}
+
+function releaseFileRequestSlots(fileRequest) {
+    if (!fileRequest.reserved) return;
+    const remaining = (fileRequestReservations.get(fileRequest.requestId) || 0) - fileRequest.reserved;
+    if (remaining > 0) fileRequestReservations.set(fileRequest.requestId, remaining);
+    else fileRequestReservations.delete(fileRequest.requestId);
+    fileRequest.reserved = 0;
+}
+
+// Before multer: check the link and the space, and create the submission folder
+async function prepareFileRequestUpload(req, res, next) {
+    try {
+        const fileRequest = await loadFileRequestForVisitor(req, res);
+        if (!fileRequest) return;
+        setAuditPath(res, fileRequest.targetDir);
+        const contentLength = parseInt(req.get('Content-Length'), 10);
+        const spaceProblem = contentLength ? await checkStorageSpace(fileRequest.owner, fileRequest.targetDir, contentLength) : null;
+        if (spaceProblem) {
+            console.warn(`Upload to file request ${fileRequest.requestId} refused: ${spaceProblem}`);
+            res.set('Connection', 'close');
+            return res.status(507).send(renderFileRequestMessage('Uploaden mislukt', 'Er is op dit moment niet genoeg opslagruimte voor deze bestanden.', `/request/${fileRequest.requestId}`));
+        }
+        const stamp = new Date().toISOString().slice(0, 19).replace('T', ' ').replace(/:/g, '-');
+        fileRequest.submissionDir = path.join(fileRequest.targetDir, await getAvailableFilename(fileRequest.targetDir, stamp));
+        await fs.ensureDir(fileRequest.submissionDir);
+        // Without a Content-Length the space is only known to run out while the files are written
+        req.uploadRoom = await getStorageRoom(fileRequest.owner, fileRequest.targetDir);
+        fileRequest.reserved = 0;
+        res.on('close', () => releaseFileRequestSlots(fileRequest));
+        req.fileRequest = fileRequest;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+const fileRequestStorage = createRoomLimitedStorage({
+    destination: (req, file, cb) => cb(null, req.fileRequest.submissionDir)
+});
+
+// Limits differ per link, so each upload gets its own multer instance
+function receiveFileRequestFiles(req, res, next) {
+    const fileRequest = req.fileRequest;
+    const { link, targetDir } = fileRequest;
+    const limits = {};
+    const maxSize = getFileRequestMaxSize(link, targetDir);
+    if (maxSize) limits.fileSize = maxSize;
+    multer({
+        storage: fileRequestStorage,
+        limits: limits,
+        fileFilter: (req, file, cb) => {
+            if (!hasAllowedExtension(link, file.originalname)) {
+                const error = new Error(`"${file.originalname}" heeft een bestandstype dat hier niet is toegestaan (toegestaan: ${link.allowed_extensions.map(ext => `.${ext}`).join(', ')}).`);
+                error.code = 'EXTENSION_NOT_ALLOWED';
+                return cb(error);
+            }
+            if (link.max_files) {
+                if (getOpenFileRequestSlots(fileRequest.requestId, link) === 0) {
+                    const error = new Error('Too many files for this file request');
+                    error.code = 'LIMIT_FILE_COUNT';
+                    return cb(error);
+                }
+                fileRequestReservations.set(fileRequest.requestId, (fileRequestReservations.get(fileRequest.requestId) || 0) + 1);
+                fileRequest.reserved++;
+            }
+            cb(null, true);
+        }
+    }).array('files')(req, res, next);
+}
+
+app.post('/request/:requestId/upload', audit('upload', req => ({ share_id: req.params.requestId })), limitUploads, prepareFileRequestUpload, receiveFileRequestFiles, async (req, res) => {
+    const { requestId, link, submissionDir } = req.fileRequest;
+    const backUrl = `/request/${requestId}`;
+    const files = req.files || [];
+    try {
+        if (files.length === 0) {
+            await fs.remove(submissionDir);
+            return res.status(400).send(renderFileRequestMessage('Geen bestanden', 'Kies ten minste één bestand om te versturen.', backUrl));
+        }
+        for (const file of files) {
+            await placeUploadedFile(file, sanitizeName(path.basename(String(file.originalname).replace(/\\/g, '/'))));
+        }
+
+        // The sender's name goes into the folder name once the form (whose fields may follow the files) has been read
+        let finalDir = submissionDir;
+        const senderName = req.body && req.body.name ? sanitizeName(String(req.body.name).trim()).slice(0, 60) : '';
+        if (senderName) {
+            const parentDir = path.dirname(submissionDir);
+            finalDir = path.join(parentDir, await getAvailableFilename(parentDir, `${path.basename(submissionDir)} ${senderName}`));
+            await fs.move(submissionDir, finalDir);
+        }
+        updateSearchIndex(finalDir);
+
+        link.file_count = (link.file_count || 0) + files.length;
+        link.submission_count = (link.submission_count || 0) + 1;
+        link.last_submission_at = new Date().toISOString();
+        await saveFileRequests();
+        setAuditPath(res, finalDir);
+        res.locals.audit.details = { files: files.map(file => file.filename), sender: senderName || null };
+        console.log(`File request ${requestId}: ${files.length} file(s) received in ${finalDir}`);
+
+        const stillOpen = !getFileRequestProblem(link);
+        res.send(renderSharePage('Bedankt!', `
+    <div class="card">
+        <h1>Bedankt!</h1>
+        <p>${files.length === 1 ? 'Je bestand is' : `Je ${files.length} bestanden zijn`} ontvangen:</p>
+        <table>${files.map(file => `<tr><td>${escapeHtml(file.originalname)}</td><td class="meta">${formatBytes(file.size)}</td></tr>`).join('')}</table>
+        ${stillOpen ? `<a class="button" href="${escapeHtml(backUrl)}">Meer bestanden versturen</a>` : ''}
+    </div>`));
+    } catch (error) {
+        await removeUnplacedUploads(files);
+        console.error(`Error finishing upload for file request ${requestId}:`, error);
+        res.status(500).send(renderFileRequestMessage('Uploaden mislukt', 'Er ging iets mis bij het opslaan. Probeer het opnieuw.', backUrl));
+    }
+}, async (error, req, res, next) => {
+    // Multer has already removed the files of a refused submission; drop its folder too
+    if (req.fileRequest) await fs.remove(req.fileRequest.submissionDir).catch(() => {});
+    const backUrl = `/request/${req.params.requestId}`;
+    if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).send(renderFileRequestMessage('Bestand te groot', `Bestanden mogen hier maximaal ${formatBytes(getFileRequestMaxSize(req.fileRequest.link, req.fileRequest.targetDir))} zijn. Er is niets opgeslagen.`, backUrl));
+    }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+        const remaining = getOpenFileRequestSlots(req.fileRequest.requestId, req.fileRequest.link, req.fileRequest.reserved);
+        return res.status(413).send(renderFileRequestMessage('Te veel bestanden', `Via deze link kunnen nog maar ${remaining} bestand(en) worden verstuurd. Er is niets opgeslagen.`, backUrl));
+    }
+    if (error.code === 'EXTENSION_NOT_ALLOWED') {
+        return res.status(415).send(renderFileRequestMessage('Bestandstype niet toegestaan', `${error.message} Er is niets opgeslagen.`, backUrl));
+    }
+    if (error.code === 'LIMIT_STORAGE_ROOM') {
+        console.warn(`Upload to file request ${req.params.requestId} stopped: ${error.message}`);
+        res.set('Connection', 'close');
+        return res.status(507).send(renderFileRequestMessage('Uploaden mislukt', 'Er is op dit moment niet genoeg opslagruimte voor deze bestanden. Er is niets opgeslagen.', backUrl));
+    }
+    console.error(`Upload error for file request ${req.params.requestId}:`, error);
+    res.status(400).send(renderFileRequestMessage('Uploaden mislukt', 'Het uploaden is mislukt. Er is niets opgeslagen.', backUrl));
+});
+
+// --- File Operations (move, copy, rename, delete, batch) ---
+// Name conflicts fail with 409 unless a policy is given: skip the item, overwrite the existing one
+// (replaced files keep a version, replaced folders go to the recycle bin) or rename the new one.
+const CONFLICT_POLICIES = ['skip', 'overwrite', 'rename'];
+const BATCH_ACTIONS = ['move', 'copy', 'delete'];
+const BATCH_MAX_OPERATIONS = 1000;
+
+// Operations return { ok: true, ... } or { ok: false, status, error } so batches can report every item
+function operationError(status, error) {
+    return { ok: false, status: status, error: error };
+}
+
+// Move or copy sourceSuffix into the directory destinationSuffix, optionally under a new name
+async function transferItem(user, { action, sourceSuffix, destinationSuffix, newName, conflict }) {
+    if (conflict && !CONFLICT_POLICIES.includes(conflict)) {
+        return operationError(400, `Invalid conflict policy. Use one of: ${CONFLICT_POLICIES.join(', ')}`);
+    }
+    const sourceFullPath = await getSafePath(sourceSuffix, user);
+    // Destination is a *directory* where the item should end up *in*
+    const destinationDirFullPath = await getSafePath(destinationSuffix, user);
+    if (!sourceFullPath || !destinationDirFullPath) {
+        return operationError(400, "Invalid source or destination path (safety check failed)");
+    }
+    // The user's root, mounted shared folders and drives stay where they are
+    if (action === 'move' && getProtectedPaths(user).includes(sourceFullPath)) {
+        return operationError(403, "Cannot move a root, home or shared folder or a drive");
+    }
+    const writeProblem = getWriteProblem(destinationDirFullPath) || (action === 'move' ? getWriteProblem(sourceFullPath) : null);
+    if (writeProblem) return operationError(403, writeProblem);
+
+    const sourceStats = await fs.stat(sourceFullPath).catch(() => null);
+    if (!sourceStats) return operationError(404, `Source item not found: ${sourceSuffix}`);
+    const destinationStats = await fs.stat(destinationDirFullPath).catch(() => null);
+    if (!destinationStats) return operationError(404, `Destination directory not found: ${destinationSuffix}`);
+    if (!destinationStats.isDirectory()) return operationError(400, `Destination is not a directory: ${destinationSuffix}`);
+
+    const itemName = newName === undefined ? path.basename(sourceFullPath) : sanitizeName(String(newName).trim());
+    if (!itemName) return operationError(400, "Invalid name provided.");
+    let targetPath = path.join(destinationDirFullPath, itemName);
+    if (isInternalPath(targetPath)) return operationError(400, "Invalid name provided.");
+
+    if (action === 'move' && sourceFullPath === targetPath) {
+        return operationError(400, "Cannot move item to the same location or into itself");
+    }
+    // Prevent moving or copying a folder into one of its own subfolders
+    if (sourceStats.isDirectory() && (destinationDirFullPath === sourceFullPath || destinationDirFullPath.startsWith(sourceFullPath + path.sep))) {
+        return operationError(400, "Cannot move or copy a folder into itself or one of its subdirectories.");
+    }
+
+    // Copies need room on the disk and in every quota they enter; moves only in the quotas they enter (unless they cross to another drive)
+    const staysOnVolume = action === 'move' && getStorageRootOf(sourceFullPath) === getStorageRootOf(destinationDirFullPath);
+    const spaceProblem = await checkStorageSpace(user, destinationDirFullPath, await getItemSize(sourceFullPath), staysOnVolume ? { sourcePath: sourceFullPath } : {});
+    if (spaceProblem) return operationError(507, spaceProblem);
+
+    const targetStats = await fs.lstat(targetPath).catch(() => null);
+    // A rename that only changes letter case finds the source itself on case-insensitive file systems
+    const isSameItem = targetStats && targetStats.ino === sourceStats.ino && targetStats.dev === sourceStats.dev;
+    if (targetStats && !(action === 'move' && isSameItem)) {
+        if (!conflict) return operationError(409, `An item named '${itemName}' already exists in the destination.`);
+        if (conflict === 'skip') return { ok: true, skipped: true, path: toUserPath(user, targetPath) };
+        if (conflict === 'rename') {
+            targetPath = path.join(destinationDirFullPath, await getAvailableFilename(destinationDirFullPath, itemName));
+        } else {
+            if (targetPath === sourceFullPath || sourceFullPath.startsWith(targetPath + path.sep)) {
+                return operationError(400, "Cannot overwrite an item with itself or with something inside it");
+            }
+            if (getProtectedPaths(user).includes(targetPath)) return operationError(403, "Cannot replace a root, home or shared folder");
+            if (targetStats.isFile() && sourceStats.isFile()) {
+                await saveFileVersion(targetPath, user, 'overwrite');
+                await fs.remove(targetPath);
+                removeFromSearchIndex(targetPath);
+            } else {
+                await moveToTrash(user, targetPath, toUserPath(user, targetPath) || itemName);
+            }
+        }
+    }
+
+    if (action === 'move') {
+        console.log(`Moving "${sourceFullPath}" to "${targetPath}"`);
+        await fs.move(sourceFullPath, targetPath); // fs-extra move handles files and dirs
+        removeFromSearchIndex(sourceFullPath);
+        await moveFileVersions(sourceFullPath, targetPath);
+        moveQuotas(sourceFullPath, targetPath);
+        announceMove(sourceFullPath, targetPath);
+    } else {
+        console.log(`Copying "${sourceFullPath}" to "${targetPath}"`);
+        await fs.copy(sourceFullPath, targetPath, { overwrite: false, errorOnExist: true }); // Recursive for folders
+    }
+    updateSearchIndex(targetPath);
+    return { ok: true, path: toUserPath(user, targetPath), name: path.basename(targetPath), renamed: path.basename(targetPath) !== itemName };
+}
+
+// Move an item to the recycle bin
+async function deleteItem(user, itemPathSuffix) {
+    const itemFullPath = await getSafePath(itemPathSuffix, user);
+    if (!itemFullPath) return operationError(400, "Invalid path specified.");
+    // Extra safety: Prevent deleting the user's root or a mounted shared folder itself
+    if (getProtectedPaths(user).includes(itemFullPath)) {
+        console.warn(`Attempt to delete protected folder blocked: ${itemFullPath} (User: ${user.username})`);
+        return operationError(403, "Cannot delete a root, home or shared folder or a drive");
+    }
+    const writeProblem = getWriteProblem(itemFullPath);
+    if (writeProblem) return operationError(403, writeProblem);
+    if (!await fs.pathExists(itemFullPath)) return operationError(404, "Item not found.");
+
+    // Items go to the recycle bin; they are only removed for good when purged from there
+    const trashId = await moveToTrash(user, itemFullPath, itemPathSuffix);
+    return { ok: true, name: path.basename(itemFullPath), trash_id: trashId };
+}
+
+// Move File/Folder into another folder
+app.post('/api/move', audit('move', req => ({ path: getAuditPath(req.user, req.body.sourcePath), target: getAuditPath(req.user, req.body.destinationPath) })), async (req, res) => {
+    const { sourcePath: sourceSuffix, destinationPath: destinationSuffix, conflict } = req.body;
+
+    if (!sourceSuffix || destinationSuffix === undefined) { // Allow empty destination for root
+        return res.status(400).json({ error: "Missing source or destination path" });
+    }
+
+    try {
+        const result = await transferItem(req.user, { action: 'move', sourceSuffix, destinationSuffix, conflict });
+        if (!result.ok) return res.status(result.status).json({ error: result.error });
+        const message = result.skipped
+            ? `Skipped '${path.basename(sourceSuffix)}': an item with that name already exists`
+            : `Successfully moved '${result.name}' to /${destinationSuffix || ''}`;
+        res.json({ message: message, ...result });
+    } catch (error) {
+        console.error(`Error moving item ${sourceSuffix} to ${destinationSuffix}:`, error);
+        res.status(500).json({ error: `Failed to move item: ${error.message}` });
+    }
+});
+
+// Copy a file or a whole folder into another folder (optionally under a new name)
+app.post('/api/copy', audit('copy', req => ({ path: getAuditPath(req.user, req.body.sourcePath), target: getAuditPath(req.user, req.body.destinationPath) })), async (req, res) => {
+    const { sourcePath: sourceSuffix, destinationPath: destinationSuffix, newName, conflict } = req.body;
+
+    if (!sourceSuffix || destinationSuffix === undefined) {
+        return res.status(400).json({ error: "Missing source or destination path" });
+    }
+
+    try {
+        const result = await transferItem(req.user, { action: 'copy', sourceSuffix, destinationSuffix, newName, conflict });
+        if (!result.ok) return res.status(result.status).json({ error: result.error });
+        const message = result.skipped
+            ? `Skipped '${path.basename(sourceSuffix)}': an item with that name already exists`
+            : `Successfully copied to /${result.path}`;
+        res.json({ message: message, ...result });
+    } catch (error) {
+        console.error(`Error copying item ${sourceSuffix} to ${destinationSuffix}:`, error);
+        res.status(500).json({ error: `Failed to copy item: ${error.message}` });
+    }
+});
+
+// Rename a file or folder in place
+app.post('/api/rename', audit('rename', req => ({ path: getAuditPath(req.user, req.body.path), details: { new_name: req.body.new_name } })), async (req, res) => {
+    const { path: itemPathSuffix, new_name: newName, conflict } = req.body;
+
+    if (!itemPathSuffix || !newName) {
+        return res.status(400).json({ error: "Missing 'path' or 'new_name' in request" });
+    }
+    if (typeof itemPathSuffix !== 'string' || typeof newName !== 'string') {
+        return res.status(400).json({ error: "'path' and 'new_name' must be strings" });
+    }
+
+    try {
+        const parentSuffix = itemPathSuffix.split('/').filter(Boolean).slice(0, -1).join('/');
+        const result = await transferItem(req.user, { action: 'move', sourceSuffix: itemPathSuffix, destinationSuffix: parentSuffix, newName, conflict });
+        if (!result.ok) return res.status(result.status).json({ error: result.error });
+        const message = result.skipped
+            ? `Skipped: an item named '${newName}' already exists`
+            : `Renamed '${path.basename(itemPathSuffix)}' to '${result.name}'`;
+        res.json({ message: message, ...result });
+    } catch (error) {
+        console.error(`Error renaming item ${itemPathSuffix}:`, error);
+        res.status(500).json({ error: `Failed to rename item: ${error.message}` });
+    }
+});
+
+// Run a list of move/copy/delete operations in order and report the outcome of each one.
+// Body: { operations: [{ action, path, destination? }], conflict? } (an operation's own "conflict" wins)
+app.post('/api/batch', async (req, res) => {
+    const { operations, conflict } = req.body;
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+        return res.status(400).json({ error: "'operations' must be a non-empty list" });
+    }
+    if (operations.length > BATCH_MAX_OPERATIONS) {
+        return res.status(400).json({ error: `At most ${BATCH_MAX_OPERATIONS} operations per batch` });
+    }
+
+    const results = [];
+    for (const [index, operation] of operations.entries()) {
+        const { action, path: itemPathSuffix, destination } = operation || {};
+        let result;
+        if (!BATCH_ACTIONS.includes(action)) {
+            result = operationError(400, `Invalid action. Use one of: ${BATCH_ACTIONS.join(', ')}`);
+        } else if (!itemPathSuffix || (action !== 'delete' && destination === undefined)) {
+            result = operationError(400, "Missing path or destination");
+        } else {
+            try {
+                result = action === 'delete'
+                    ? await deleteItem(req.user, itemPathSuffix)
+                    : await transferItem(req.user, { action, sourceSuffix: itemPathSuffix, destinationSuffix: destination, conflict: operation.conflict || conflict });
+            } catch (error) {
+                console.error(`Batch ${action} of ${itemPathSuffix} failed:`, error);
+                result = operationError(500, error.message);
+            }
+        }
+        results.push({ index: index, action: action, source: itemPathSuffix, ...result });
+        if (BATCH_ACTIONS.includes(action)) {
+            recordAudit(req, action, {
+                result: result.ok ? 'ok' : 'failed',
+                status: result.ok ? 200 : result.status,
+                path: getAuditPath(req.user, itemPathSuffix),
+                ...(destination !== undefined ? { target: getAuditPath(req.user, destination) } : {}),
+                ...(result.ok ? {} : { error: result.error }),
+                details: { batch: true, ...(result.skipped ? { skipped: true } : {}) }
+            });
+        }
+    }
+
+    const failed = results.filter(result => !result.ok).length;
+    console.log(`Batch of ${results.length} operation(s) by ${req.user.username}: ${failed} failed`);
+    res.json({ results: results, succeeded: results.length - failed, failed: failed });
+});
+
+// --- Archives (streamed downloads, server-side extraction) ---
+const ARCHIVE_FORMATS = {
+    'zip': { extension: 'zip', create: () => archiver('zip', { zlib: { level: 6 } }) },
+    'tar.gz': { extension: 'tar.gz', create: () => archiver('tar', { gzip: true, gzipOptions: { level: 6 } }) }
+};
+
+// Stream files and folders into one archive straight to the response; nothing is staged on disk.
+// items: [{ fullPath, name (path inside the archive; false = folder contents at the top), is_dir }]
+function streamArchive(res, items, archiveName, format) {
+    const { extension, create } = ARCHIVE_FORMATS[format];
+    res.attachment(`${archiveName}.${extension}`);
+    const archive = create();
+    archive.on('warning', err => console.warn(`Archive warning for ${archiveName}:`, err));
+    archive.on('error', err => {
+        console.error(`Error creating archive ${archiveName}:`, err);
+        res.destroy(err);
+    });
+    archive.pipe(res);
+    items.forEach(item => {
+        if (item.is_dir) {
+            // Internal folders (trash, versions, partial uploads) stay out of archives of the storage root.
+            // The filter has to look at where an entry is on disk, so the item.name prefix must not be part of the path.
+            archive.directory(item.fullPath, item.name, entry => {
+                const hasPrefix = item.name && !entry.prefix && entry.name.startsWith(`${item.name}/`);
+                const relativeName = hasPrefix ? entry.name.slice(item.name.length + 1) : entry.name;
+                return isInternalPath(path.join(item.fullPath, relativeName)) ? false : entry;
+            });
+        } else {
+            archive.file(item.fullPath, { name: item.name });
+        }
+    });
+    archive.finalize();
+}
+
+// Download several items of the user's view as one archive.
+// GET ?path=a&path=b or a form POST with the same fields (for selections too long for a URL); optional format and name.
+async function handleArchiveDownload(req, res) {
+    const params = req.method === 'POST' ? req.body : req.query;
+    const itemSuffixes = [].concat(params.path || []).map(String);
+    const format = params.format || 'zip';
+
+    if (itemSuffixes.length === 0) {
+        return res.status(400).send("No items selected.");
+    }
+    if (!Object.prototype.hasOwnProperty.call(ARCHIVE_FORMATS, format)) {
+        return res.status(400).send(`Unsupported archive format. Use one of: ${Object.keys(ARCHIVE_FORMATS).join(', ')}`);
+    }
+
+    const items = [];
+    for (const itemSuffix of itemSuffixes) {
+        const fullPath = await getSafePath(itemSuffix, req.user);
+        const stats = fullPath ? await fs.stat(fullPath).catch(() => null) : null;
+        if (!stats) return res.status(404).send(`Item not found: ${itemSuffix}`);
+        items.push({ fullPath: fullPath, name: path.basename(fullPath), is_dir: stats.isDirectory() });
+    }
+
+    const archiveName = params.name ? sanitizeName(params.name) : (items.length === 1 ? items[0].name : 'KimmelDrive');
+    console.log(`Streaming ${items.length} item(s) as ${format} for ${req.user.username}`);
+    streamArchive(res, items, archiveName, format);
+}
+const auditArchiveDownload = audit('download', req => {
+    const params = req.method === 'POST' ? req.body : req.query;
+    const items = [].concat(params.path || []).map(itemSuffix => getAuditPath(req.user, itemSuffix));
+    return { path: items[0] ?? null, details: { items: items, format: params.format || 'zip' } };
+});
+app.get('/api/archive', auditArchiveDownload, handleArchiveDownload);
+app.post('/api/archive', auditArchiveDownload, handleArchiveDownload);
+
+// Archive type by file name, or null when it can't be extracted
+function getArchiveFormat(fileName) {
+    const lowerName = fileName.toLowerCase();
+    if (lowerName.endsWith('.zip')) return 'zip';
+    if (lowerName.endsWith('.tar.gz') || lowerName.endsWith('.tgz')) return 'tar.gz';
+    if (lowerName.endsWith('.tar')) return 'tar';
+    return null;
+}
+
+// Errors caused by the archive itself (unsafe paths, limits, corrupt data) are answered with their status
+function archiveError(message, status = 400) {
+    return Object.assign(new Error(message), { status: status });
+}
+
+// Where an archive entry is unpacked inside stagingDir. Absolute paths and ".." segments (zip slip) reject the archive.
+function resolveArchiveEntry(stagingDir, entryName) {
+    const normalized = String(entryName).replace(/\\/g, '/');
+    const segments = normalized.split('/').filter(segment => segment && segment !== '.');
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized) || segments.includes('..')) {
+        throw archiveError(`Unsafe path in archive: ${entryName}`);
+    }
+    if (segments.length === 0) return null; // The archive's own root
+    const target = resolveInside(stagingDir, segments.map(sanitizeName).join('/'), 'Extract');
+    if (!target) throw archiveError(`Unsafe path in archive: ${entryName}`);
+    return target;
+}
+
+// Running totals of one extraction, enforcing the entry count and total size limits
+// room: the space left at the destination (see getStorageRoom), checked before each file is written
+function createExtractTally(room) {
+    return {
+        entries: 0, // Files, folders and ignored entries alike
+        files: 0,
+        bytes: 0,
+        ignored: 0, // Links and special files are never unpacked
+        countEntry() {
+            if (this.entries + 1 > EXTRACT_MAX_ENTRIES) throw archiveError(`Archive has more than ${EXTRACT_MAX_ENTRIES} entries`, 413);
+            this.entries++;
+        },
+        add(entrySize) {
+            this.countEntry();
+            if (this.bytes + entrySize > EXTRACT_MAX_BYTES) throw archiveError(`Archive unpacks to more than ${formatBytes(EXTRACT_MAX_BYTES)}`, 413);
+            if (room && this.bytes + entrySize > room.bytes) {
+                throw archiveError(`Not enough space: the archive unpacks to more than the ${formatBytes(room.bytes)} left within ${room.reason}.`, 507);
+            }
+            this.files++;
+            this.bytes += entrySize;
+        }
+    };
+}
+
+function extractZip(archivePath, stagingDir, room) {
+    const tally = createExtractTally(room);
+    return new Promise((resolve, reject) => {
+        // validateEntrySizes makes yauzl fail when an entry inflates to more than its declared size
+        yauzl.open(archivePath, { lazyEntries: true, validateEntrySizes: true }, (openError, zipfile) => {
+            if (openError) return reject(archiveError(`Could not read zip archive: ${openError.message}`));
+            let failed = false;
+            const fail = (error) => {
+                if (failed) return;
+                failed = true;
+                zipfile.close();
+                reject(error.status ? error : archiveError(`Could not read zip archive: ${error.message}`));
+            };
+            zipfile.on('error', fail);
+            zipfile.on('end', () => { if (!failed) resolve(tally); });
+            zipfile.on('entry', async (entry) => {
+                try {
+                    const target = resolveArchiveEntry(stagingDir, entry.fileName);
+                    const fileType = (entry.externalFileAttributes >>> 16) & 0o170000; // Unix mode bits, if any
+                    if (!target) {
+                        // Nothing to create for the root itself
+                    } else if (entry.fileName.endsWith('/')) {
+                        tally.countEntry();
+                        await fs.ensureDir(target);
+                    } else if (fileType !== 0 && fileType !== 0o100000) {
+                        tally.countEntry();
+                        tally.ignored++; // Symlink or other special file
+                    } else {
+                        tally.add(entry.uncompressedSize);
+                        await fs.ensureDir(path.dirname(target));
+                        const readStream = await promisify(zipfile.openReadStream.bind(zipfile))(entry);
+                        await pipelineAsync(readStream, fs.createWriteStream(target));
+                    }
+                    zipfile.readEntry();
+                } catch (error) {
+                    fail(error);
+                }
+            });
+            zipfile.readEntry();
+        });
+    });
+}
+
+async function extractTar(archivePath, stagingDir, gzipped, room) {
+    const tally = createExtractTally(room);
+    const extract = tar.extract();
+    const streams = [fs.createReadStream(archivePath), ...(gzipped ? [zlib.createGunzip()] : []), extract];
+    // Errors of the reading side mean a corrupt archive
+    streams.slice(1).forEach(stream => stream.on('error', error => {
+        if (error.status) return;
+        error.status = 400;
+        error.message = `Could not read tar archive: ${error.message}`;
+    }));
+    const reading = pipelineAsync(...streams);
+    reading.catch(() => {}); // Surfaces through the entry loop below
+
+    for await (const entry of extract) {
+        const { name, type, size } = entry.header;
+        const target = resolveArchiveEntry(stagingDir, name);
+        if (!target) {
+            entry.resume();
+        } else if (type === 'directory') {
+            tally.countEntry();
+            await fs.ensureDir(target);
+            entry.resume();
+        } else if (type === 'file' || type === 'contiguous-file') {
+            tally.add(size);
+            await fs.ensureDir(path.dirname(target));
+            await pipelineAsync(entry, fs.createWriteStream(target));
+        } else {
+            tally.countEntry();
+            tally.ignored++; // Links, devices, fifos
+            entry.resume();
+        }
+    }
+    await reading;
+    return tally;
+}
+
+// Move unpacked entries from stagingDir into destinationDir: folders merge, existing files follow the conflict policy
+async function mergeExtracted(user, stagingDir, destinationDir, conflict, summary) {
+    for (const name of await fs.readdir(stagingDir)) {
+        const source = path.join(stagingDir, name);
+        let target = path.join(destinationDir, name);
+        const sourceStats = await fs.lstat(source);
+        const targetStats = await fs.lstat(target).catch(() => null);
+        if (isInternalPath(target)) {
+            summary.skipped++;
+            continue;
+        }
+        if (sourceStats.isDirectory() && targetStats && targetStats.isDirectory()) {
+            await mergeExtracted(user, source, target, conflict, summary);
+            continue;
+        }
+        if (targetStats) {
+            if (conflict === 'skip' || getProtectedPaths(user).includes(target)) {
+                summary.skipped++;
+                continue;
+            }
+            if (conflict === 'rename') {
+                target = path.join(destinationDir, await getAvailableFilename(destinationDir, name));
+            } else if (targetStats.isFile() && sourceStats.isFile()) {
+                await saveFileVersion(target, user, 'overwrite');
+            } else {
+                await moveToTrash(user, target, toUserPath(user, target) || name);
+            }
+        }
+        await fs.move(source, target, { overwrite: true });
+        updateSearchIndex(target);
+    }
+}
+
+// "Extract here": unpack a .zip/.tar/.tar.gz into the folder it is in (or destination). Everything is unpacked into a
+// staging folder first, so an archive that turns out to be unsafe or too large leaves the destination untouched.
+app.post('/api/extract', audit('extract', req => ({ path: getAuditPath(req.user, req.body.path), target: req.body.destination === undefined ? undefined : getAuditPath(req.user, req.body.destination) })), async (req, res) => {
+    const { path: archiveSuffix, destination: destinationSuffix, conflict = 'rename' } = req.body;
+
+    if (!archiveSuffix) {
+        return res.status(400).json({ error: "Missing 'path' in request" });
+    }
+    if (!CONFLICT_POLICIES.includes(conflict)) {
+        return res.status(400).json({ error: `Invalid conflict policy. Use one of: ${CONFLICT_POLICIES.join(', ')}` });
+    }
+
+    const archivePath = await getSafePath(archiveSuffix, req.user);
+    const parentSuffix = archiveSuffix.split('/').filter(Boolean).slice(0, -1).join('/');
+    const destinationDir = await getSafePath(destinationSuffix === undefined ? parentSuffix : destinationSuffix, req.user);
+    if (!archivePath || !destinationDir) {
+        return res.status(400).json({ error: "Invalid archive or destination path." });
+    }
+    const format = getArchiveFormat(path.basename(archivePath));
+    if (!format) {
+        return res.status(415).json({ error: "Only .zip, .tar, .tar.gz and .tgz archives can be extracted." });
+    }
+    const archiveStats = await fs.stat(archivePath).catch(() => null);
+    if (!archiveStats || !archiveStats.isFile()) {
+        return res.status(404).json({ error: "Archive not found." });
+    }
+    if (!await isExistingDirectory(destinationDir)) {
+        return res.status(404).json({ error: "Destination folder not found." });
+    }
+    const writeProblem = getWriteProblem(destinationDir);
+    if (writeProblem) {
+        return res.status(403).json({ error: writeProblem });
+    }
+
+    const stagingDir = path.join(UPLOADS_ROOT, `extract-${uuidv4()}`);
+    try {
+        await fs.ensureDir(stagingDir);
+        const room = await getStorageRoom(req.user, destinationDir);
+        const tally = format === 'zip'
+            ? await extractZip(archivePath, stagingDir, room)
+            : await extractTar(archivePath, stagingDir, format === 'tar.gz', room);
+        const summary = { skipped: 0 };
+        await mergeExtracted(req.user, stagingDir, destinationDir, conflict, summary);
+        console.log(`Extracted ${archivePath} into ${destinationDir}: ${tally.files} file(s), ${tally.bytes} bytes (User: ${req.user.username})`);
+        res.json({
+            message: `Extracted ${tally.files} file(s) from '${path.basename(archivePath)}'`,
+            files: tally.files,
+            bytes: tally.bytes,
+            skipped: summary.skipped,
+            ignored: tally.ignored
+        });
+    } catch (error) {
+        if (error.status) {
+            console.warn(`Extraction of ${archivePath} refused: ${error.message} (User: ${req.user.username})`);
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error(`Error extracting ${archivePath}:`, error);
+        res.status(500).json({ error: "Could not extract archive", details: error.message });
+    } finally {
+        await fs.remove(stagingDir).catch(err => console.error(`Error removing extraction folder ${stagingDir}:`, err));
+    }
+});
+
+// --- Preview Service (real MIME types, media metadata, cached thumbnails, rendered Markdown/CSV/code) ---
+sharp.cache(false); // Thumbnails are cached on disk; libvips' own cache would only hold on to memory
+
+const THUMBNAIL_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'tif', 'tiff', 'svg'];
+const BROWSER_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif', 'image/svg+xml', 'image/bmp', 'image/x-icon', 'image/vnd.microsoft.icon'];
+const MARKDOWN_EXTENSIONS = ['md', 'markdown'];
+const TABLE_EXTENSIONS = ['csv', 'tsv'];
+const EXIF_FIELDS = ['Make', 'Model', 'LensModel', 'DateTimeOriginal', 'ExposureTime', 'FNumber', 'ISO', 'FocalLength', 'Flash', 'Software', 'latitude', 'longitude'];
+const thumbnailJobs = new Map(); // Cache file -> pending generation, so a burst of requests renders a thumbnail once
+
+// Listings only look at the name; the thumbnail route finds out whether the file really is an image
+function canThumbnail(name) {
+    return THUMBNAIL_EXTENSIONS.includes(getExtension(name));
+}
+
+// MIME type from the file's first bytes, falling back to the extension for formats without a signature (text, CSV, SVG...)
+async function detectMimeType(fullPath) {
+    const { fileTypeFromFile } = await import('file-type'); // ES module only
+    const detected = await fileTypeFromFile(fullPath).catch(() => null);
+    return detected ? detected.mime : getMimeType(path.basename(fullPath));
+}
+
+function isTextMimeType(mimeType) {
+    return mimeType.startsWith('text/') || /json|xml|javascript|x-sh|yaml|toml/.test(mimeType);
+}
+
+// The first PREVIEW_MAX_TEXT_BYTES of a file
+async function readPreviewBytes(fullPath, size) {
+    const length = Math.min(size, PREVIEW_MAX_TEXT_BYTES);
+    const handle = await fs.promises.open(fullPath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Width/height (as displayed, after EXIF rotation), format and a readable subset of the EXIF data
+async function getImageMetadata(fullPath) {
+    const info = await sharp(fullPath, { failOn: 'none' }).metadata();
+    const rotated = info.orientation >= 5; // Orientations 5-8 turn the image a quarter
+    const metadata = {
+        width: rotated ? info.height : info.width,
+        height: rotated ? info.width : info.height,
+        format: info.format,
+        has_alpha: !!info.hasAlpha
+    };
+    if (info.pages > 1) metadata.frames = info.pages;
+    if (info.exif) {
+        const exif = await exifr.parse(fullPath, { tiff: true, exif: true, gps: true }).catch(() => null);
+        if (exif) {
+            metadata.exif = {};
+            EXIF_FIELDS.forEach(field => {
+                const value = exif[field];
+                if (value === undefined || value === null) return;
+                metadata.exif[field] = value instanceof Date ? value.toISOString() : value;
+            });
+        }
+    }
+    return metadata;
+}
+
+// Duration, codecs and (for video) dimensions read from the container, plus tags like title and artist
+async function getMediaMetadata(fullPath) {
+    const { parseFile } = await import('music-metadata'); // ES module only
+    const { format, common } = await parseFile(fullPath, { skipCovers: true });
+    const metadata = {
+        duration: format.duration ?? null,
+        container: format.container || null,
+        codec: format.codec || null,
+        bitrate: format.bitrate ? Math.round(format.bitrate) : null
+    };
+    if (format.sampleRate) metadata.sample_rate = format.sampleRate;
+    if (format.numberOfChannels) metadata.channels = format.numberOfChannels;
+    const videoTrack = (format.trackInfo || []).find(track => track.video && track.video.pixelWidth);
+    if (videoTrack) {
+        metadata.width = videoTrack.video.pixelWidth;
+        metadata.height = videoTrack.video.pixelHeight;
+    }
+    ['title', 'artist', 'album', 'year'].forEach(tag => { if (common[tag]) metadata[tag] = common[tag]; });
+    return metadata;
+}
+
+// Markdown as HTML that is safe to insert into the page. Relative image links point at files next to the
+// document (through /download); links open in a new tab.
+function renderMarkdown(markdown, folderPath) {
+    const html = marked.parse(markdown, { gfm: true });
+    const resolveRelative = (url) => {
+        if (!url || /^([a-z][a-z0-9+.-]*:|\/|#)/i.test(url)) return url;
+        let target;
+        try {
+            target = path.posix.normalize(path.posix.join(folderPath, decodeURIComponent(url.split(/[?#]/)[0])));
+        } catch (error) {
+            return url; // Malformed escapes: left as written
+        }
+        return target.startsWith('..') ? url : `/download/${encodePathForUrl(target)}?preview=1`;
+    };
+    return sanitizeHtml(html, {
+        allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'input', 'del']),
+        allowedAttributes: {
+            a: ['href', 'title', 'target', 'rel'],
+            img: ['src', 'alt', 'title', 'width', 'height'],
+            input: ['type', 'checked', 'disabled'],
+            code: ['class'],
+            th: ['align'],
+            td: ['align']
+        },
+        allowedSchemes: ['http', 'https', 'mailto'],
+        allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+        transformTags: {
+            a: (tagName, attribs) => ({ tagName, attribs: { ...attribs, target: '_blank', rel: 'noopener noreferrer' } }),
+            img: (tagName, attribs) => ({ tagName, attribs: { ...attribs, src: resolveRelative(attribs.src) } }),
+            input: (tagName, attribs) => ({ tagName, attribs: attribs.type === 'checkbox' ? { ...attribs, disabled: '' } : {} }) // Task list checkboxes
+        }
+    });
+}
+
+// Split CSV/TSV text into rows of cells (quoted fields may contain delimiters, quotes and line breaks).
+// Without a given delimiter the most frequent of , ; and tab on the first line is used.
+function parseDelimitedText(text, delimiter = null) {
+    if (!delimiter) {
+        const firstLine = text.slice(0, text.indexOf('\n') === -1 ? undefined : text.indexOf('\n'));
+        const counts = [',', ';', '\t'].map(candidate => ({ candidate, count: firstLine.split(candidate).length }));
+        delimiter = counts.sort((a, b) => b.count - a.count)[0].candidate;
+    }
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length && rows.length < PREVIEW_MAX_CSV_ROWS; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else cell += char;
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if ((cell !== '' || row.length > 0) && rows.length < PREVIEW_MAX_CSV_ROWS) rows.push([...row, cell]);
+    return { delimiter, rows };
+}
+
+// highlight.js language for a file extension, or null for plain text
+function getHighlightLanguage(name) {
+    const language = hljs.getLanguage(getExtension(name));
+    return language && language.name !== 'Plain text' ? getExtension(name) : null;
+}
+
+// Everything the preview dialog needs to show a file: { name, path, size, mtime, mime_type, kind, thumbnail, metadata,
+// truncated, and by kind html (markdown, code), text (text) or table ({ delimiter, rows }) }
+async function buildPreview(fullPath, stats, userPath) {
+    const name = path.basename(fullPath);
+    const extension = getExtension(name);
+    const mimeType = await detectMimeType(fullPath);
+    const preview = {
+        name: name,
+        path: userPath,
+        size: stats.size,
+        mtime: stats.mtime.toISOString(),
+        mime_type: mimeType,
+        kind: null,
+        thumbnail: canThumbnail(name),
+        metadata: null
+    };
+
+    if (mimeType.startsWith('image/')) {
+        preview.kind = BROWSER_IMAGE_TYPES.includes(mimeType) ? 'image' : null;
+        preview.metadata = await getImageMetadata(fullPath).catch(() => null);
+    } else if (mimeType.startsWith('video/') || mimeType.startsWith('audio/')) {
+        preview.kind = mimeType.startsWith('video/') ? 'video' : 'audio';
+        preview.metadata = await getMediaMetadata(fullPath).catch(() => null);
+    } else if (mimeType === 'application/pdf') {
+        preview.kind = 'pdf';
+    } else {
+        // Text is recognised by its MIME type, or for unknown types by the absence of NUL bytes
+        const bytes = await readPreviewBytes(fullPath, stats.size);
+        const isText = mimeType === 'application/octet-stream' ? !bytes.includes(0) : isTextMimeType(mimeType);
+        if (!isText) return preview;
+        if (mimeType === 'application/octet-stream') preview.mime_type = 'text/plain';
+        const text = bytes.toString('utf8');
+        preview.truncated = stats.size > bytes.length;
+        if (MARKDOWN_EXTENSIONS.includes(extension)) {
+            preview.kind = 'markdown';
+            preview.html = renderMarkdown(text, path.posix.dirname(userPath));
+        } else if (TABLE_EXTENSIONS.includes(extension)) {
+            preview.kind = 'table';
+            preview.table = parseDelimitedText(text, extension === 'tsv' ? '\t' : null);
+            preview.truncated = preview.truncated || preview.table.rows.length >= PREVIEW_MAX_CSV_ROWS;
+        } else if (getHighlightLanguage(name)) {
+            preview.kind = 'code';
+            preview.language = getHighlightLanguage(name);
+            preview.html = hljs.highlight(text, { language: preview.language, ignoreIllegals: true }).value; // Escaped markup
+        } else {
+            preview.kind = 'text';
+            preview.text = text;
+        }
+    }
+    return preview;
+}
+
+// Cache file of the thumbnail of one version of a file; a changed file gets a new name, the old one ages out
+function getThumbnailCachePath(fullPath, stats) {
+    const key = crypto.createHash('sha1').update(`${fullPath}\0${stats.size}\0${stats.mtimeMs}\0${THUMBNAIL_SIZE}`).digest('hex');
+    return path.join(THUMBNAILS_DIR, key.slice(0, 2), `${key}.webp`);
+}
+
+// Create the cached thumbnail (EXIF rotation applied, first frame of animations) unless it exists
+async function ensureThumbnail(fullPath, stats) {
+    const cachePath = getThumbnailCachePath(fullPath, stats);
+    if (await fs.pathExists(cachePath)) {
+        const now = new Date();
+        await fs.utimes(cachePath, now, now).catch(() => {}); // Keeps it from being swept
+        return cachePath;
+    }
+    if (!thumbnailJobs.has(cachePath)) {
+        const job = (async () => {
+            await fs.ensureDir(path.dirname(cachePath));
+            const tempPath = `${cachePath}.${process.pid}.tmp`;
+            try {
+                await sharp(fullPath, { failOn: 'none' })
+                    .rotate()
+                    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+                    .webp({ quality: 75 })
+                    .toFile(tempPath);
+                await fs.move(tempPath, cachePath, { overwrite: true });
+            } catch (error) {
+                await fs.remove(tempPath).catch(() => {});
+                throw error;
+            }
+            return cachePath;
+        })().finally(() => thumbnailJobs.delete(cachePath));
+        thumbnailJobs.set(cachePath, job);
+    }
+    return thumbnailJobs.get(cachePath);
+}
+
+// Remove thumbnails that were not shown for THUMBNAIL_CACHE_DAYS (old versions, deleted files)
+async function sweepThumbnails() {
+    const cutoff = Date.now() - THUMBNAIL_CACHE_DAYS * 24 * 60 * 60 * 1000;
+    let removed = 0;
+    for (const bucket of await fs.readdir(THUMBNAILS_DIR).catch(() => [])) {
+        const bucketPath = path.join(THUMBNAILS_DIR, bucket);
+        for (const name of await fs.readdir(bucketPath).catch(() => [])) {
+            const filePath = path.join(bucketPath, name);
+            const stats = await fs.stat(filePath).catch(() => null);
+            if (stats && stats.mtimeMs < cutoff) {
+                await fs.remove(filePath).catch(() => {});
+                removed++;
+            }
+        }
+    }
+    if (removed > 0) console.log(`Removed ${removed} unused thumbnail(s)`);
+}
+sweepThumbnails();
+setInterval(sweepThumbnails, THUMBNAIL_SWEEP_INTERVAL_MINUTES * 60 * 1000).unref();
+
+// Preview details of a file. Text-like previews include (part of) the contents, so those are audited as a preview;
+// media are audited when the player fetches them from /download?preview=1.
+app.get('/api/preview/:subpath(*)', async (req, res) => {
+    const subpath = req.params.subpath || '';
+    auditResponse(req, res, 'preview', () => (res.locals.previewContent ? { path: getAuditPath(req.user, subpath) } : null));
+    const safeFullPath = await getSafePath(subpath, req.user);
+    if (!safeFullPath) return res.status(400).json({ error: "Invalid file path." });
+
+    try {
+        const stats = await fs.stat(safeFullPath).catch(() => null);
+        if (!stats) return res.status(404).json({ error: "File not found." });
+        if (!stats.isFile()) return res.status(400).json({ error: "Path is not a file." });
+        const preview = await buildPreview(safeFullPath, stats, toUserPath(req.user, safeFullPath));
+        res.locals.previewContent = ['markdown', 'table', 'code', 'text'].includes(preview.kind);
+        res.json(preview);
+    } catch (error) {
+        console.error(`Error building preview for ${safeFullPath}:`, error);
+        res.status(500).json({ error: "Server error building the preview." });
+    }
+});
+
+// Small WebP thumbnail of an image, for listings and the gallery. The client adds ?v=<mtime>, so responses can be cached.
+app.get('/api/thumbnail/:subpath(*)', async (req, res) => {
+    const safeFullPath = await getSafePath(req.params.subpath || '', req.user);
+    if (!safeFullPath) return res.status(400).json({ error: "Invalid file path." });
+
+    const stats = await fs.stat(safeFullPath).catch(() => null);
+    if (!stats || !stats.isFile()) return res.status(404).json({ error: "File not found." });
+    if (!canThumbnail(safeFullPath) || stats.size > THUMBNAIL_MAX_SOURCE_BYTES) {
+        return res.status(415).json({ error: "No thumbnail available for this file." });
+    }
+    try {
+        const cachePath = await ensureThumbnail(safeFullPath, stats);
+        res.sendFile(cachePath, { dotfiles: 'allow', headers: { 'Content-Type': 'image/webp', 'Cache-Control': 'private, max-age=604800' } });
+    } catch (error) {
+        console.warn(`Could not create a thumbnail of ${safeFullPath}: ${error.message}`);
+        res.status(415).json({ error: "No thumbnail available for this file." });
+    }
+});
+
+// --- NEW API Endpoint: Save File Content ---
+app.post('/api/save', audit('save', req => ({ path: getAuditPath(req.user, req.body.filePath) })), async (req, res) => {
+    const { filePath: fileSuffix, content } = req.body;
+
+    if (!fileSuffix || content === undefined || content === null) { // Check content existence
+        return res.status(400).json({ error: "Missing file path or content" });
+    }
+
+    const fileFullPath = await getSafePath(fileSuffix, req.user);
+
+    if (!fileFullPath) {
+        return res.status(400).json({ error: "Invalid file path (safety check failed)" });
+    }
+    const writeProblem = getWriteProblem(fileFullPath);
+    if (writeProblem) {
+        return res.status(403).json({ error: writeProblem });
+    }
+
+    // Check if it exists and is a file before writing
+    let stat;
+    try {
+         if (!await fs.pathExists(fileFullPath)) {
+            return res.status(404).json({ error: `File not found: ${fileSuffix}` });
+        }
+        stat = await fs.stat(fileFullPath);
+        if (!stat.isFile()) {
+            return res.status(400).json({ error: "Target path is not a file." });
+        }
+    } catch (error) {
+         console.error(`Error stating file for saving ${fileFullPath}:`, error);
+         return res.status(500).json({ error: "Error checking file before save" });
+    }
+
+    try {
+        const newContent = String(content);
+        const currentContent = await fs.readFile(fileFullPath, 'utf8');
+        // Conditional save: the editor sends the ETag of the version it loaded (If-Match header, or "etag" in the body)
+        const expectedEtag = req.get('If-Match') || req.body.etag;
+        const currentEtag = getFileEtag(stat);
+        if (expectedEtag && expectedEtag !== '*' && expectedEtag !== currentEtag) {
+            const conflictOps = diffLines(currentContent, newContent);
+            console.warn(`Save conflict on "${fileFullPath}" (User: ${req.user.username})`);
+            return res.status(409).json({
+                error: "The file was changed by someone else since you opened it.",
+                conflict: true,
+                current_etag: currentEtag,
+                current_content: currentContent,
+                diff: formatUnifiedDiff(conflictOps, 'current', 'yours'),
+                merged: mergeWithConflictMarkers(conflictOps, 'current', 'yours')
+            });
+        }
+        if (newContent === currentContent) {
+            return res.set('ETag', currentEtag).json({ message: `File '${path.basename(fileFullPath)}' is unchanged.`, etag: currentEtag });
+        }
+
+        const spaceProblem = await checkStorageSpace(req.user, fileFullPath, Buffer.byteLength(newContent, 'utf8') - stat.size);
+        if (spaceProblem) {
+            return res.status(507).json({ error: spaceProblem });
+        }
+
+        console.log(`Saving content to "${fileFullPath}"`);
+        await saveFileVersion(fileFullPath, req.user, 'save'); // Keep what was there before
+        // Overwrite the file with new content (defaulting to UTF-8)
+        await fs.writeFile(fileFullPath, newContent, 'utf8'); // Explicitly UTF-8
+        updateSearchIndex(fileFullPath);
+        const newEtag = getFileEtag(await fs.stat(fileFullPath));
+        res.set('ETag', newEtag).json({ message: `File '${path.basename(fileFullPath)}' saved successfully.`, etag: newEtag });
+    } catch (error) {
+        console.error(`Error writing file ${fileFullPath}:`, error);
+        res.status(500).json({ error: `Failed to save file: ${error.message}` });
+    }
+});
+
+
+// --- Version History ---
+
+// Strong validator for conditional saves; changes whenever the file is rewritten
+function getFileEtag(stats) {
+    return `"${stats.size.toString(16)}-${Math.round(stats.mtimeMs * 1000).toString(16)}"`;
+}
+
+// Rough binary check: text files don't contain NUL bytes
+function isProbablyText(buffer) {
+    return !buffer.subarray(0, 8000).includes(0);
+}
+
+const DIFF_MAX_CELLS = 4000000; // Larger changed regions are shown as replaced wholesale instead of aligned
+
+// Line diff as a list of [op, line] with op ' ', '-' or '+'.
+// Common leading/trailing lines are skipped; the changed middle is aligned with a longest-common-subsequence table.
+function diffLines(oldText, newText) {
+    const a = oldText.split('\n');
+    const b = newText.split('\n');
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = a.slice(0, start).map(line => [' ', line]);
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const n = midA.length;
+    const m = midB.length;
+    if (n * m > DIFF_MAX_CELLS) {
+        midA.forEach(line => ops.push(['-', line]));
+        midB.forEach(line => ops.push(['+', line]));
+    } else {
+        // lcs[i][j] = length of the longest common subsequence of midA[i..] and midB[j..]
+        const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (midA[i] === midB[j]) {
+                ops.push([' ', midA[i++]]);
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                ops.push(['-', midA[i++]]);
+            } else {
+                ops.push(['+', midB[j++]]);
+            }
+        }
+        while (i < n) ops.push(['-', midA[i++]]);
+        while (j < m) ops.push(['+', midB[j++]]);
+    }
+    a.slice(endA).forEach(line => ops.push([' ', line]));
+    return ops;
+}
+
+// Render diffLines() output as a unified diff with `context` unchanged lines around each change ('' when identical)
+function formatUnifiedDiff(ops, fromLabel, toLabel, context = 3) {
+    const changes = [];
+    ops.forEach(([op], index) => { if (op !== ' ') changes.push(index); });
+    if (changes.length === 0) return '';
+
+    // Line numbers in the old and new text at each op
+    const numbers = [];
+    let oldLine = 1;
+    let newLine = 1;
+    ops.forEach(([op]) => {
+        numbers.push({ oldLine, newLine });
+        if (op !== '+') oldLine++;
+        if (op !== '-') newLine++;
+    });
+
+    const output = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+    let c = 0;
+    while (c < changes.length) {
+        // Changes close enough to share their context go into one hunk
+        const firstChange = changes[c];
+        while (c + 1 < changes.length && changes[c + 1] - changes[c] <= context * 2) c++;
+        const lastChange = changes[c++];
+        const hunkStart = Math.max(0, firstChange - context);
+        const hunkEnd = Math.min(ops.length, lastChange + context + 1);
+        const hunk = ops.slice(hunkStart, hunkEnd);
+        const oldCount = hunk.filter(([op]) => op !== '+').length;
+        const newCount = hunk.filter(([op]) => op !== '-').length;
+        // An empty side starts at the line before, as in diff -u
+        const oldStart = oldCount > 0 ? numbers[hunkStart].oldLine : numbers[hunkStart].oldLine - 1;
+        const newStart = newCount > 0 ? numbers[hunkStart].newLine : numbers[hunkStart].newLine - 1;
+        output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        hunk.forEach(([op, line]) => output.push(op + line));
+    }
+    return output.join('\n');
+}
+
+// Both texts in one, with git-style markers around every block that differs (for merging a conflicting save by hand)
+function mergeWithConflictMarkers(ops, oldLabel, newLabel) {
+    const lines = [];
+    let removed = [];
+    let added = [];
+    const flush = () => {
+        if (removed.length > 0 || added.length > 0) {
+            lines.push(`<<<<<<< ${oldLabel}`, ...removed, '=======', ...added, `>>>>>>> ${newLabel}`);
+        }
+        removed = [];
+        added = [];
+    };
+    ops.forEach(([op, line]) => {
+        if (op === '-') removed.push(line);
+        else if (op === '+') added.push(line);
+        else {
+            flush();
+            lines.push(line);
+        }
+    });
+    flush();
+    return lines.join('\n');
+}
+
+// Look up a version the current user may see (its file lies inside their view); answers 404 otherwise
+async function getAccessibleVersion(req, res) {
+    const version = findFileVersion(req.params.versionId);
+    const storedPath = version ? fromStoragePath(version.storage_path, `Version: ${req.params.versionId}`) : null;
+    const fullPath = storedPath ? await applySymlinkPolicy(storedPath, getStorageRootOf(storedPath), `Version: ${req.params.versionId}`) : null;
+    const userPath = fullPath ? toUserPath(req.user, fullPath) : null;
+    if (!version || userPath === null) {
+        res.status(404).json({ error: "Version not found." });
+        return null;
+    }
+    return { version, fullPath, userPath, versionPath: path.join(VERSIONS_ROOT, req.params.versionId) };
+}
+
+// List the previous versions of a file (newest first), plus the ETag of its current contents
+app.get('/api/history/:filepath(*)', async (req, res) => {
+    const fullPath = await getSafePath(req.params.filepath, req.user);
+    if (!fullPath) {
+        return res.status(400).json({ error: "Invalid file path." });
+    }
+    const stats = await fs.stat(fullPath).catch(() => null);
+    if (stats && !stats.isFile()) {
+        return res.status(400).json({ error: "Path is not a file." });
+    }
+    res.json({
+        path: req.params.filepath,
+        exists: Boolean(stats),
+        etag: stats ? getFileEtag(stats) : null,
+        versions: getFileVersionIds(toStoragePath(fullPath)).map(publicFileVersion)
+    });
+});
+
+// Download an old version
+app.get('/api/versions/:versionId', async (req, res) => {
+    const found = await getAccessibleVersion(req, res);
+    if (!found) return;
+    const ext = path.extname(found.fullPath);
+    const stamp = found.version.created_at.slice(0, 19).replace('T', ' ').replace(/:/g, '-');
+    const downloadName = `${path.basename(found.fullPath, ext)} (${stamp})${ext}`;
+    res.download(found.versionPath, downloadName, (err) => {
+        if (err && !res.headersSent) {
+            console.error(`Error sending version ${req.params.versionId}:`, err);
+            res.status(500).json({ error: "Could not send version." });
+        }
+    });
+});
+
+// Diff a version against the current file (?against=current, the default) or against another version of the same file
+app.get('/api/versions/:versionId/diff', async (req, res) => {
+    const found = await getAccessibleVersion(req, res);
+    if (!found) return;
+    const against = String(req.query.against || 'current');
+    let againstPath = found.fullPath;
+    let againstLabel = `/${found.userPath} (current)`;
+    if (against !== 'current') {
+        const other = findFileVersion(against);
+        if (!other || other.storage_path !== found.version.storage_path) {
+            return res.status(404).json({ error: "Version to compare against not found." });
+        }
+        againstPath = path.join(VERSIONS_ROOT, against);
+        againstLabel = `/${found.userPath} (${other.created_at})`;
+    }
+
+    try {
+        const [oldBuffer, newBuffer] = await Promise.all([fs.readFile(found.versionPath), fs.readFile(againstPath)]);
+        if (!isProbablyText(oldBuffer) || !isProbablyText(newBuffer)) {
+            return res.status(415).json({ error: "Binary files cannot be compared." });
+        }
+        const diff = formatUnifiedDiff(diffLines(oldBuffer.toString('utf8'), newBuffer.toString('utf8')), `/${found.userPath} (${found.version.created_at})`, againstLabel);
+        res.json({ version_id: req.params.versionId, against: against, identical: diff === '', diff: diff });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({ error: "The file or version no longer exists." });
+        }
+        console.error(`Error diffing version ${req.params.versionId}:`, error);
+        res.status(500).json({ error: "Could not compare versions", details: error.message });
+    }
+});
+
+// Restore a version. The current contents become a version themselves, so a restore can be undone.
+app.post('/api/versions/:versionId/restore', audit('restore', req => {
+    const version = findFileVersion(req.params.versionId);
+    return { path: version ? version.storage_path : null, details: { version_id: req.params.versionId } };
+}), async (req, res) => {
+    const found = await getAccessibleVersion(req, res);
+    if (!found) return;
+    const writeProblem = getWriteProblem(found.fullPath);
+    if (writeProblem) {
+        return res.status(403).json({ error: writeProblem });
+    }
+    try {
+        const stats = await fs.stat(found.fullPath).catch(() => null);
+        if (stats && !stats.isFile()) {
+            return res.status(409).json({ error: `A folder now exists at /${found.userPath}.` });
+        }
+        const spaceProblem = await checkStorageSpace(req.user, found.fullPath, found.version.size - (stats ? stats.size : 0));
+        if (spaceProblem) {
+            return res.status(507).json({ error: spaceProblem });
+        }
+        if (stats) await saveFileVersion(found.fullPath, req.user, 'restore');
+        await fs.ensureDir(path.dirname(found.fullPath));
+        await fs.copy(found.versionPath, found.fullPath, { overwrite: true });
+        updateSearchIndex(found.fullPath);
+        const etag = getFileEtag(await fs.stat(found.fullPath));
+        console.log(`Version ${req.params.versionId} restored to ${found.fullPath} (User: ${req.user.username})`);
+        res.set('ETag', etag).json({ message: `Version from ${found.version.created_at} restored to /${found.userPath}.`, etag: etag });
+    } catch (error) {
+        console.error(`Error restoring version ${req.params.versionId}:`, error);
+        res.status(500).json({ error: "Could not restore version", details: error.message });
+    }
+});
+
+
+// --- Disk Usage & Quotas ---
+// Folder sizes come from the search index (folderSizes), so they are cached and kept current by every write and by the watcher.
+// Quotas are persisted in DATA_DIR: { "storage path ('' = the whole storage root)": limit in bytes }
+let storageQuotas = fs.readJsonSync(QUOTAS_FILE, { throws: false }) || {};
+let internalUsageCache = null; // { measured_at, usage }
+
+function saveQuotas() {
+    return writeJsonAtomic(QUOTAS_FILE, storageQuotas).catch(err => console.error("Error saving quotas file:", err));
+}
+
+function isSameOrInside(fullPath, folderPath) {
+    return fullPath === folderPath || fullPath.startsWith(folderPath + path.sep);
+}
+
+// Total, used and free bytes of the volume holding fullPath's storage root or drive ("free" is what an unprivileged process may use)
+async function getDiskUsage(fullPath = RESOLVED_UPLOAD_FOLDER_ROOT) {
+    const stats = await fs.statfs(getStorageRootOf(fullPath));
+    return {
+        total: stats.blocks * stats.bsize,
+        used: (stats.blocks - stats.bfree) * stats.bsize,
+        free: stats.bavail * stats.bsize
+    };
+}
+
+// Walk a folder on disk and add up its file sizes (for folders the index leaves out, and while it is still being built)
+async function measureFolder(folderPath) {
+    let total = 0;
+    const dirents = await fs.readdir(folderPath, { withFileTypes: true }).catch(() => []);
+    for (const dirent of dirents) {
+        const entryPath = path.join(folderPath, dirent.name);
+        if (INTERNAL_FOLDERS.includes(entryPath)) continue;
+        if (dirent.isDirectory()) total += await measureFolder(entryPath);
+        else if (dirent.isFile()) total += (await fs.stat(entryPath).catch(() => null))?.size || 0;
+    }
+    return total;
+}
+
+async function getFolderSize(folderPath) {
+    return searchIndexReady ? (folderSizes.get(folderPath) || 0) : measureFolder(folderPath);
+}
+
+async function getItemSize(fullPath) {
+    const stats = await fs.stat(fullPath).catch(() => null);
+    if (!stats) return 0;
+    return stats.isDirectory() ? getFolderSize(fullPath) : stats.size;
+}
+
+// Space taken by the recycle bin, old versions and partial uploads; these don't count towards quotas
+async function getInternalUsage() {
+    if (internalUsageCache && Date.now() - internalUsageCache.measured_at < INTERNAL_USAGE_CACHE_MINUTES * 60 * 1000) {
+        return internalUsageCache.usage;
+    }
+    const usage = {
+        trash: await measureFolder(TRASH_ROOT),
+        versions: await measureFolder(VERSIONS_ROOT),
+        uploads: await measureFolder(UPLOADS_ROOT)
+    };
+    internalUsageCache = { measured_at: Date.now(), usage: usage };
+    return usage;
+}
+
+function getQuota(fullPath) {
+    const storagePath = toStoragePath(fullPath);
+    return Object.prototype.hasOwnProperty.call(storageQuotas, storagePath) ? storageQuotas[storagePath] : null;
+}
+
+// Quotas on fullPath itself and on every folder above it
+function getApplicableQuotas(fullPath) {
+    return Object.keys(storageQuotas)
+        .map(storagePath => ({ fullPath: fromStoragePath(storagePath), limit: storageQuotas[storagePath] }))
+        .filter(quota => quota.fullPath && isSameOrInside(fullPath, quota.fullPath));
+}
+
+// Keep quotas with their folder when it is moved or renamed
+function moveQuotas(oldFullPath, newFullPath) {
+    let moved = false;
+    for (const storagePath of Object.keys(storageQuotas)) {
+        const quotaPath = fromStoragePath(storagePath);
+        if (!quotaPath || !isSameOrInside(quotaPath, oldFullPath)) continue;
+        storageQuotas[toStoragePath(path.join(newFullPath, path.relative(oldFullPath, quotaPath)))] = storageQuotas[storagePath];
+        delete storageQuotas[storagePath];
+        moved = true;
+    }
+    if (moved) saveQuotas();
+}
+
+// How a quota folder is called in messages to this user
+function describeQuotaFolder(user, quotaPath) {
+    if (quotaPath === getUserRoot(user)) return user.role === 'admin' ? 'the storage' : 'your home folder';
+    const userPath = toUserPath(user, quotaPath);
+    return userPath ? `'/${userPath}'` : 'a parent folder';
+}
+
+// The tightest limit on writing into targetPath, as { bytes (room left), reason }, or null when nothing limits it.
+// Moves (sourcePath) stay on the volume and only count towards quotas they enter; data already on disk (onDisk,
+// e.g. a finished part file) needs no more free space.
+async function getStorageRoom(user, targetPath, { sourcePath = null, onDisk = false } = {}) {
+    const limits = [];
+    if (!sourcePath && !onDisk) {
+        const disk = await getDiskUsage(targetPath);
+        limits.push({ bytes: Math.max(0, disk.free - MIN_FREE_DISK_BYTES), reason: 'the free disk space' });
+    }
+    for (const quota of getApplicableQuotas(targetPath)) {
+        if (sourcePath && isSameOrInside(sourcePath, quota.fullPath)) continue;
+        const used = await getFolderSize(quota.fullPath);
+        limits.push({ bytes: Math.max(0, quota.limit - used), reason: `the ${formatBytes(quota.limit)} quota of ${describeQuotaFolder(user, quota.fullPath)}` });
+    }
+    return limits.reduce((tightest, limit) => (!tightest || limit.bytes < tightest.bytes ? limit : tightest), null);
+}
+
+// Error message when writing `bytes` more into targetPath would exceed a quota or fill the disk, otherwise null
+async function checkStorageSpace(user, targetPath, bytes, options = {}) {
+    if (!bytes || bytes < 0) return null;
+    const room = await getStorageRoom(user, targetPath, options);
+    if (!room || bytes <= room.bytes) return null;
+    return `Not enough space: this needs ${formatBytes(bytes)}, but only ${formatBytes(room.bytes)} is left within ${room.reason}.`;
+}
+
+// Runs before multer: refuse uploads whose request body alone would not fit, before anything is written
+async function checkUploadSpace(req, res, next) {
+    const targetDir = await getSafePath(req.params.subpath || '', req.user);
+    const contentLength = parseInt(req.get('Content-Length'), 10);
+    if (!targetDir || !contentLength) return next(); // Multer reports bad targets itself
+    try {
+        const problem = await checkStorageSpace(req.user, targetDir, contentLength);
+        if (!problem) return next();
+        console.warn(`Upload to ${targetDir} refused: ${problem} (User: ${req.user.username})`);
+        res.set('Connection', 'close'); // Don't read the rest of the body
+        res.status(507).json({ error: problem });
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Usage of a folder: its size, the disk, the quotas that apply and (unless ?items=0) the size of every entry
+app.get('/api/usage/:subpath(*)?', async (req, res) => {
+    const subpath = (req.params.subpath || '').split('/').filter(Boolean).join('/');
+    const fullPath = await getSafePath(subpath, req.user);
+    if (!fullPath || !await isExistingDirectory(fullPath)) {
+        return res.status(404).json({ error: "Folder not found", path: subpath });
+    }
+
+    try {
+        const children = await listViewChildren(req.user, fullPath, subpath);
+        const items = (await mapWithConcurrency(children, STAT_CONCURRENCY, async child => {
+            const stats = await fs.stat(child.fullPath).catch(() => null);
+            if (!stats) return null;
+            const isDir = stats.isDirectory();
+            return {
+                name: path.basename(child.fullPath),
+                path: child.userPath,
+                is_dir: isDir,
+                size: isDir ? await getFolderSize(child.fullPath) : stats.size,
+                quota: isDir ? getQuota(child.fullPath) : null
+            };
+        })).filter(Boolean);
+        items.sort((a, b) => b.size - a.size || a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }));
+
+        const quotas = [];
+        for (const quota of getApplicableQuotas(fullPath)) {
+            quotas.push({ folder: describeQuotaFolder(req.user, quota.fullPath), path: toUserPath(req.user, quota.fullPath), limit: quota.limit, used: await getFolderSize(quota.fullPath) });
+        }
+        const result = {
+            path: subpath,
+            // A user's root also holds their mounted drives and shared folders, so add up what they see
+            size: subpath ? await getFolderSize(fullPath) : items.reduce((sum, item) => sum + item.size, 0),
+            quota: getQuota(fullPath),
+            quotas: quotas,
+            disk: await getDiskUsage(fullPath),
+            min_free_bytes: MIN_FREE_DISK_BYTES,
+            max_upload_bytes: getMaxUploadBytes(fullPath) || null,
+            read_only: !!getWriteProblem(fullPath),
+            indexing: !searchIndexReady
+        };
+        if (req.query.items !== '0') result.items = items;
+        if (req.user.role === 'admin') result.internal = await getInternalUsage();
+        res.json(result);
     } catch (error) {
-        console.error(`Error listing directory ${currentPath}:`, error);
-        res.status(500).json({ error: "Error listing files", details: error.message });
+        console.error(`Error measuring usage of ${fullPath}:`, error);
+        res.status(500).json({ error: "Could not determine disk usage", details: error.message });
     }
 });
 
-// Upload a file (uses multer middleware defined earlier)
-app.post('/api/upload/:subpath(*)?', upload.single('file'), (req, res) => {
-    // Multer handles the saving. We just respond.
-    if (!req.file) {
-        // This might happen if the destination callback in multer failed or filter rejected
-        return res.status(400).json({ error: "File upload failed or was rejected." });
+// List all quotas (admin only)
+app.get('/api/quotas', requireAdmin, async (req, res) => {
+    const quotas = [];
+    for (const storagePath of Object.keys(storageQuotas).sort()) {
+        const fullPath = fromStoragePath(storagePath);
+        quotas.push({ path: storagePath, limit: storageQuotas[storagePath], used: fullPath ? await getFolderSize(fullPath) : 0, exists: !!fullPath && await isExistingDirectory(fullPath) });
     }
-    const subpath = req.params.subpath || '';
-    console.log(`File uploaded: ${req.file.filename} to /${subpath}`);
-    res.json({ message: `File "${req.file.filename}" uploaded successfully to /${subpath}` });
-}, (error, req, res, next) => {
-    // Express error handler specifically for multer errors
-    console.error("Upload error:", error);
-    res.status(400).json({ error: `Upload failed: ${error.message}` });
+    res.json({ quotas: quotas });
 });
 
+// Set or remove the quota of a folder (admin only). Body: { path, limit } with limit in bytes; null or 0 removes it.
+app.put('/api/quotas', requireAdmin, async (req, res) => {
+    const { path: folderSuffix = '', limit } = req.body;
+    const fullPath = await getSafePath(folderSuffix, req.user);
+    if (!fullPath || !await isExistingDirectory(fullPath)) {
+        return res.status(404).json({ error: "Folder not found." });
+    }
+    const storagePath = toStoragePath(fullPath);
+    if (limit === null || limit === undefined || Number(limit) === 0) {
+        delete storageQuotas[storagePath];
+        await saveQuotas();
+        console.log(`Quota removed from /${storagePath} by ${req.user.username}`);
+        return res.json({ message: `Quota removed from /${storagePath}`, path: storagePath, limit: null });
+    }
+    const limitBytes = Number(limit);
+    if (!Number.isSafeInteger(limitBytes) || limitBytes < 0) {
+        return res.status(400).json({ error: "limit must be a whole number of bytes." });
+    }
+    storageQuotas[storagePath] = limitBytes;
+    await saveQuotas();
+    const used = await getFolderSize(fullPath);
+    console.log(`Quota of /${storagePath} set to ${formatBytes(limitBytes)} by ${req.user.username}`);
+    res.json({
+        message: `Quota of /${storagePath} set to ${formatBytes(limitBytes)}` + (used > limitBytes ? ` (already ${formatBytes(used)} in use)` : ''),
+        path: storagePath,
+        limit: limitBytes,
+        used: used
+    });
+});
 
-// Download a file (Also used for previewing/editing text content)
-app.get('/download/:filepath(*)', async (req, res) => {
-    const filepath = req.params.filepath;
-    const safeFullPath = getSafePath(filepath);
+// --- Live Change Notifications (storage watcher + Server-Sent Events) ---
+// A watcher on the storage root turns every change (from the API, WebDAV or other tools) into an event for
+// the folder it happened in; clients subscribe to the folder on screen via GET /api/events?path=<folder>.
+// Moves made through this server are announced as "moved"; moves by other tools arrive as deleted + created.
+const eventSubscribers = new Set(); // { res, username, sessionToken, dirPath (full path of the folder being viewed) }
+const pendingChanges = new Map(); // full path -> { first, last, isDir, timer } while a burst of watcher events settles
+const announcedMoves = new Map(); // full path -> time announced; the watcher's echo of these moves is ignored
 
-    if (!safeFullPath) {
-        return res.status(400).send("Invalid file path.");
-    }
+// Send one change to everyone viewing the folder it happened in. Each subscriber gets paths as they see them:
+// { type: created|changed|deleted|moved, path, from (moved away from this folder), item (listing entry if it is in this folder) }
+async function broadcastChange(type, fullPath, fromPath = null) {
+    const folders = [path.dirname(fullPath), fromPath ? path.dirname(fromPath) : null];
+    const subscribers = [...eventSubscribers].filter(subscriber => folders.includes(subscriber.dirPath));
+    if (subscribers.length === 0) return;
 
-    try {
-        // Check existence before stating
-        if (!await fs.pathExists(safeFullPath)) {
-             return res.status(404).send("File not found.");
+    const stats = type === 'deleted' ? null : await fs.stat(fullPath).catch(() => null);
+    if (type !== 'deleted' && !stats) return; // Gone again before we got to it
+    for (const subscriber of subscribers) {
+        const user = findUser(subscriber.username);
+        if (!user) { // Account removed while connected
+            subscriber.res.end();
+            eventSubscribers.delete(subscriber);
+            continue;
         }
-        const stats = await fs.stat(safeFullPath);
-        if (!stats.isFile()) {
-            return res.status(400).send("Path is not a file."); // Use 400 Bad Request for type mismatch
+        const userPath = toUserPath(user, fullPath);
+        const change = { type: type, path: userPath, from: null, item: null };
+        if (fromPath && path.dirname(fromPath) === subscriber.dirPath) change.from = toUserPath(user, fromPath);
+        if (stats && userPath !== null && path.dirname(fullPath) === subscriber.dirPath) {
+            change.item = await toListingEntry({ name: path.basename(fullPath), is_dir: stats.isDirectory(), path: userPath, fullPath: fullPath, stats: stats });
         }
+        if (change.path !== null || change.from !== null) sendServerEvent(subscriber.res, 'change', change);
+    }
+}
 
-        const filename = path.basename(safeFullPath);
-        console.log(`Attempting download/access: ${filename} from ${safeFullPath}`);
+function sendServerEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
 
-        // Use res.download for explicit download prompts
-        // For previews (like text), the browser's fetch might just get the content directly
-        // We can add 'Accept' header check later if needed to differentiate intent.
-        res.download(safeFullPath, filename, (err) => {
-            if (err) {
-                // Handle specific errors if possible (e.g., permission denied)
-                console.error(`Error sending file ${filename}:`, err);
-                // Avoid sending another response if headers already sent
-                if (!res.headersSent) {
-                    res.status(500).send("Error occurred during file download.");
-                }
-            } else {
-                console.log(`File sent: ${filename}`);
-            }
-        });
-    } catch (error) {
-        // Handle errors like file not found during stat (should be caught by pathExists now)
-        console.error(`Error accessing file ${safeFullPath}:`, error);
-        res.status(500).send("Server error accessing file.");
+// Announce created/deleted/moved items together with the new state of their folder(s) (child count, date)
+async function announceChange(type, fullPath, fromPath = null) {
+    await broadcastChange(type, fullPath, fromPath);
+    const parents = new Set([path.dirname(fullPath), fromPath ? path.dirname(fromPath) : null]);
+    for (const parent of parents) {
+        if (parent && parent.startsWith(getStorageRootOf(parent) + path.sep)) await broadcastChange('changed', parent);
     }
-});
+}
 
-// Create a directory
-app.post('/api/mkdir', async (req, res) => {
-    const { parent_path, dir_name } = req.body;
+function announceMove(fromPath, toPath) {
+    const now = Date.now();
+    announcedMoves.set(fromPath, now);
+    announcedMoves.set(toPath, now);
+    announceChange('moved', toPath, fromPath).catch(error => console.error(`Error announcing move of ${fromPath}:`, error));
+}
 
-    if (!dir_name) {
-        return res.status(400).json({ error: "Directory name is required." });
-    }
-    // Basic sanitization for directory name
-    const safeDirName = dir_name.replace(/[/\\?%*:|"<>]/g, '_').replace(/^\.+$/, '_'); // Avoid '.' or '..' and illegal chars
-    if (!safeDirName || safeDirName === '.' || safeDirName === '..') {
-        return res.status(400).json({ error: "Invalid directory name provided."});
+function isAnnouncedMove(fullPath) {
+    const cutoff = Date.now() - 2000;
+    let announced = false;
+    for (const [movedPath, time] of announcedMoves) {
+        if (time < cutoff) announcedMoves.delete(movedPath);
+        else if (fullPath === movedPath || fullPath.startsWith(movedPath + path.sep)) announced = true;
     }
+    return announced;
+}
 
-    const parentDir = getSafePath(parent_path || ''); // Default to root if not specified
-    if (!parentDir || !await fs.pathExists(parentDir) || !(await fs.stat(parentDir)).isDirectory()) {
-        return res.status(400).json({ error: "Invalid or non-existent parent path." });
+function queueWatcherChange(type, fullPath, isDir) {
+    if (isInternalPath(fullPath) || isAnnouncedMove(fullPath)) return;
+    const pending = pendingChanges.get(fullPath) || { first: type, last: type, isDir: isDir, timer: null };
+    pending.last = type;
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => flushWatcherChange(fullPath), CHANGE_DEBOUNCE_MS);
+    pendingChanges.set(fullPath, pending);
+}
+
+// Reduce a burst to what happened overall: e.g. deleted + created (a save by rename) is a change
+async function flushWatcherChange(fullPath) {
+    const { first, last, isDir } = pendingChanges.get(fullPath);
+    pendingChanges.delete(fullPath);
+    let type = first === 'created' ? 'created' : 'changed';
+    if (last === 'deleted') {
+        if (first === 'created') return; // Came and went
+        type = 'deleted';
     }
 
-    const newDirPath = path.join(parentDir, safeDirName);
+    // Keep the search index current for changes made by other tools as well
+    if (type === 'deleted') {
+        if (isDir) removeFromSearchIndex(fullPath);
+        else deleteIndexEntry(fullPath);
+    } else if (!isDir || !searchIndex.has(fullPath)) {
+        await updateSearchIndex(fullPath);
+    }
 
     try {
-        if (await fs.pathExists(newDirPath)) {
-            return res.status(409).json({ error: `Directory or file '${safeDirName}' already exists.` }); // 409 Conflict
-        }
-        await fs.ensureDir(newDirPath); // fs-extra creates directory
-        console.log(`Directory created: ${newDirPath}`);
-        res.json({ message: `Directory '${safeDirName}' created successfully in /${parent_path || ''}` });
+        if (type === 'changed') await broadcastChange(type, fullPath);
+        else await announceChange(type, fullPath);
     } catch (error) {
-        console.error(`Error creating directory ${newDirPath}:`, error);
-        res.status(500).json({ error: "Could not create directory", details: error.message });
+        console.error(`Error announcing change of ${fullPath}:`, error);
     }
-});
+}
 
-// Delete a file or directory
-app.post('/api/delete', async (req, res) => {
-    const { path: itemPathSuffix } = req.body;
-    if (!itemPathSuffix) {
-        return res.status(400).json({ error: "Missing 'path' in request" });
+function startStorageWatcher() {
+    const watcher = chokidar.watch([RESOLVED_UPLOAD_FOLDER_ROOT, ...DRIVES.map(drive => drive.path)], {
+        ignoreInitial: true,
+        followSymlinks: false,
+        ignored: watchedPath => isInternalPath(path.resolve(watchedPath))
+    });
+    watcher.on('add', fullPath => queueWatcherChange('created', fullPath, false));
+    watcher.on('addDir', fullPath => queueWatcherChange('created', fullPath, true));
+    watcher.on('change', fullPath => queueWatcherChange('changed', fullPath, false));
+    watcher.on('unlink', fullPath => queueWatcherChange('deleted', fullPath, false));
+    watcher.on('unlinkDir', fullPath => queueWatcherChange('deleted', fullPath, true));
+    // E.g. too many folders for the system's inotify limit: live updates then miss those folders
+    watcher.on('error', error => console.warn(`Storage watcher error: ${error.message}`));
+    watcher.on('ready', () => console.log(`Watching the storage root${DRIVES.length ? ' and drives' : ''} for changes`));
+}
+
+// Event stream for one folder of the user's view
+app.get('/api/events', async (req, res) => {
+    const subpath = req.query.path || '';
+    const dirPath = await getSafePath(subpath, req.user);
+    if (!dirPath || !await isExistingDirectory(dirPath)) {
+        return res.status(404).json({ error: "Path not found", path: subpath });
     }
 
-    const itemFullPath = getSafePath(itemPathSuffix);
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    const subscriber = { res: res, username: req.user.username, sessionToken: req.sessionToken, dirPath: dirPath };
+    eventSubscribers.add(subscriber);
+    sendServerEvent(res, 'ready', { path: subpath });
+    req.on('close', () => eventSubscribers.delete(subscriber));
+});
 
-    // Extra safety: Prevent deleting the root itself
-    if (itemFullPath === RESOLVED_UPLOAD_FOLDER_ROOT) {
-        console.warn(`Attempt to delete root folder blocked: ${itemFullPath}`);
-        return res.status(403).json({ error: "Cannot delete the root storage directory" });
+// Streams outlive the request that opened them, so end them once their session is gone (logout, expiry, password change)
+function endEventStreamsWithoutSession() {
+    for (const subscriber of eventSubscribers) {
+        const session = Object.prototype.hasOwnProperty.call(sessions, subscriber.sessionToken) ? sessions[subscriber.sessionToken] : null;
+        if (session && new Date() <= new Date(session.expires_at)) continue;
+        subscriber.res.end();
+        eventSubscribers.delete(subscriber);
     }
+}
 
-    if (!itemFullPath) {
-        return res.status(400).json({ error: "Invalid path specified." });
-    }
+setInterval(() => {
+    endEventStreamsWithoutSession();
+    eventSubscribers.forEach(subscriber => subscriber.res.write(': keep-alive\n\n'));
+}, EVENTS_HEARTBEAT_SECONDS * 1000).unref();
 
-    try {
-        // Check existence before trying to remove
-        if (!await fs.pathExists(itemFullPath)) {
-            return res.status(404).json({ error: "Item not found." });
-        }
 
-        const itemName = path.basename(itemFullPath);
-        // fs-extra remove handles both files and directories recursively
-        await fs.remove(itemFullPath);
-        console.log(`Item deleted: ${itemFullPath}`);
-        res.json({ message: `Item '${itemName}' deleted successfully` });
+// --- WebDAV (mounted at DAV_PREFIX) ---
+// Lets file managers mount the drive as a network disk. Paths go through getSafePath like the JSON API,
+// deletes go to the recycle bin and overwritten files keep a version.
+// Clients log in with HTTP Basic auth (account username and password) only: the session cookie is not accepted, so a
+// page opened from /dav can't act as the logged-in user. Files are sent as downloads under a CSP that blocks everything.
+const DAV_CSP = "default-src 'none'; sandbox";
 
-    } catch (error) {
-        console.error(`Error deleting item ${itemFullPath}:`, error);
-        res.status(500).json({ error: "Could not delete item", details: error.message });
-    }
-});
+const davAuthCache = new Map(); // HMAC of the Basic credentials -> { username, expires }
+const davLocks = {}; // "opaquelocktoken:<uuid>" -> { fullPath, owner, owner_xml, scope, depth, href, expires } (in memory: locks are short-lived)
+const davRangedWrites = new Map(); // fullPath -> time of the last ranged PUT, so a file written in parts gets one version
 
+async function getDavUser(req) {
+    const match = /^Basic\s+(\S+)$/i.exec(req.get('authorization') || '');
+    if (!match) return null;
+    const cacheKey = crypto.createHmac('sha256', SERVER_SECRET).update(match[1]).digest('hex');
+    const cached = davAuthCache.get(cacheKey);
+    if (cached && cached.expires > Date.now()) return findUser(cached.username);
 
-// --- Sharing Routes ---
+    const credentials = Buffer.from(match[1], 'base64').toString('utf8');
+    const separatorIndex = credentials.indexOf(':');
+    const user = separatorIndex > 0 ? findUser(credentials.slice(0, separatorIndex)) : null;
+    if (!user || !await verifyPassword(credentials.slice(separatorIndex + 1), user.password_hash)) return null;
+    davAuthCache.set(cacheKey, { username: user.username, expires: Date.now() + DAV_AUTH_CACHE_MINUTES * 60 * 1000 });
+    return user;
+}
 
-// Create a share link
-app.post('/api/share', async (req, res) => {
-    const { path: filePathSuffix } = req.body;
-    if (!filePathSuffix) {
-         return res.status(400).json({ error: "Missing 'path' in request" });
-    }
+async function isExistingDirectory(fullPath) {
+    const stats = await fs.stat(fullPath).catch(() => null);
+    return Boolean(stats && stats.isDirectory());
+}
 
-    const fileFullPath = getSafePath(filePathSuffix);
+function davHref(req, userPath, isDir) {
+    const encodedPath = userPath ? encodePathForUrl(userPath) : '';
+    return `${req.baseUrl}/${encodedPath}${isDir && encodedPath ? '/' : ''}`;
+}
 
-    if (!fileFullPath) {
-        return res.status(400).json({ error: "Invalid file path." });
+// Split a raw (still URL-encoded) path below the mount point into what getSafePath expects and the decoded path for display
+function parseDavPath(rawUrlPath) {
+    const rawPath = rawUrlPath.replace(/^\/+|\/+$/g, '');
+    try {
+        return { rawPath, userPath: decodeURIComponent(rawPath).split('/').filter(Boolean).join('/') };
+    } catch (e) {
+        return null;
     }
+}
 
+// Path in the Destination header of COPY/MOVE, as parsed by parseDavPath; null when it is missing or outside the WebDAV mount
+function parseDavDestination(req) {
+    const header = req.get('Destination');
+    if (!header) return null;
+    let pathname;
     try {
-        if (!await fs.pathExists(fileFullPath)) {
-            return res.status(404).json({ error: "File not found for sharing." });
-        }
-        const stats = await fs.stat(fileFullPath);
-        if (!stats.isFile()) {
-            return res.status(400).json({ error: "Sharing is only supported for files." });
-        }
+        pathname = new URL(header, `http://${req.get('host') || 'localhost'}`).pathname;
+    } catch (e) {
+        return null;
+    }
+    if (pathname !== req.baseUrl && !pathname.startsWith(`${req.baseUrl}/`)) return null;
+    return parseDavPath(pathname.slice(req.baseUrl.length));
+}
 
-        // Generate ID and store with timestamp
-        const shareId = uuidv4();
-        const creationTime = new Date(); // Current time (local timezone of server)
+// Target of COPY/MOVE; fullPath is null when the destination is not allowed
+async function getDavDestination(req) {
+    const parsed = parseDavDestination(req);
+    return parsed ? { fullPath: await getSafePath(parsed.rawPath, req.user), userPath: parsed.userPath } : null;
+}
 
-        shareLinks[shareId] = {
-            path: filePathSuffix, // Store relative path
-            created_at: creationTime
-        };
-        console.log(`Created share link: ${shareId} -> ${filePathSuffix} at ${creationTime.toISOString()}`);
+// Small request bodies (PROPFIND, PROPPATCH, LOCK, MKCOL) are read as text
+function readDavBody(req, limit = 1024 * 1024) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size <= limit) chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (size > limit) return reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+            resolve(Buffer.concat(chunks).toString('utf8'));
+        });
+        req.on('error', reject);
+    });
+}
 
-        // Construct full URL using request headers
-        const shareUrl = `${req.protocol}://${req.get('host')}/share/${shareId}`;
+// --- WebDAV locks ---
+function sweepDavLocks() {
+    const now = Date.now();
+    Object.keys(davLocks).forEach(token => { if (davLocks[token].expires < now) delete davLocks[token]; });
+}
 
-        // Generate QR Code Data URL
-        let qrCodeDataUrl = null;
-        try {
-            qrCodeDataUrl = await QRCode.toDataURL(shareUrl);
-        } catch (qrErr) {
-            console.error(`Error generating QR code for ${shareId}:`, qrErr);
-            // Proceed without QR code if generation fails
-        }
+// Tokens of the locks covering fullPath: on the path itself, on an ancestor with depth infinity,
+// or (includeDescendants, for operations on a whole collection) anywhere below it
+function getDavLocks(fullPath, includeDescendants = false) {
+    sweepDavLocks();
+    return Object.keys(davLocks).filter(token => {
+        const lock = davLocks[token];
+        if (lock.fullPath === fullPath) return true;
+        if (lock.depth === 'infinity' && fullPath.startsWith(lock.fullPath + path.sep)) return true;
+        return includeDescendants && lock.fullPath.startsWith(fullPath + path.sep);
+    });
+}
 
-        res.json({
-            share_id: shareId,
-            share_url: shareUrl,
-            qr_code_data_url: qrCodeDataUrl
-        });
+function releaseDavLocks(fullPath) {
+    Object.keys(davLocks).forEach(token => {
+        const lockedPath = davLocks[token].fullPath;
+        if (lockedPath === fullPath || lockedPath.startsWith(fullPath + path.sep)) delete davLocks[token];
+    });
+}
 
-    } catch (error) {
-         // Catch stat errors too
-         console.error(`Error accessing file for sharing ${fileFullPath}:`, error);
-         res.status(500).json({ error: "Server error processing share request." });
-    }
-});
+// Lock tokens the client submitted in its If header
+function getSubmittedLockTokens(req) {
+    return (req.get('If') || '').match(/opaquelocktoken:[^>\s)]+/g) || [];
+}
 
-// Access a shared file
-app.get('/share/:shareId', async (req, res) => {
-    const { shareId } = req.params;
+// Answers 423 Locked and returns true when a lock whose token this user didn't submit covers fullPath
+function rejectIfDavLocked(req, res, fullPath, includeDescendants = false) {
+    const submitted = getSubmittedLockTokens(req);
+    const blocking = getDavLocks(fullPath, includeDescendants)
+        .filter(token => !(submitted.includes(token) && davLocks[token].owner === req.user.username));
+    if (blocking.length === 0) return false;
+    res.status(423).end();
+    return true;
+}
 
-    const shareInfo = shareLinks[shareId]; // Get potential link info
+function davActiveLockXml(token) {
+    const lock = davLocks[token];
+    const secondsLeft = Math.max(0, Math.round((lock.expires - Date.now()) / 1000));
+    return `<D:activelock><D:locktype><D:write/></D:locktype><D:lockscope><D:${lock.scope}/></D:lockscope>` +
+        `<D:depth>${lock.depth}</D:depth>${lock.owner_xml ? `<D:owner>${lock.owner_xml}</D:owner>` : ''}` +
+        `<D:timeout>Second-${secondsLeft}</D:timeout><D:locktoken><D:href>${token}</D:href></D:locktoken>` +
+        `<D:lockroot><D:href>${escapeHtml(lock.href)}</D:href></D:lockroot></D:activelock>`;
+}
 
-    if (!shareInfo) {
-        console.log(`Share ID not found: ${shareId}`);
-        // Check potentially expired links (simple cleanup)
-        // A more robust cleanup would run periodically
-        Object.keys(shareLinks).forEach(id => {
-            const link = shareLinks[id];
-            const expiryTime = new Date(link.created_at.getTime() + SHARE_DURATION_HOURS * 60 * 60 * 1000);
-            if (new Date() > expiryTime) {
-                console.log(`Cleaning up expired link during lookup: ${id}`);
-                delete shareLinks[id];
-            }
-        });
-        return res.status(404).send("Share link is invalid or has expired.");
-    }
+function sendDavLock(res, token, status) {
+    res.status(status).type('application/xml; charset=utf-8')
+        .send(`<?xml version="1.0" encoding="utf-8"?>\n<D:prop xmlns:D="DAV:"><D:lockdiscovery>${davActiveLockXml(token)}</D:lockdiscovery></D:prop>`);
+}
 
-    const creationTime = shareInfo.created_at;
-    const filePathSuffix = shareInfo.path;
+// --- WebDAV method handlers ---
+const DAV_SUPPORTED_LOCKS = '<D:supportedlock>' +
+    '<D:lockentry><D:lockscope><D:exclusive/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry>' +
+    '<D:lockentry><D:lockscope><D:shared/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry>' +
+    '</D:supportedlock>';
 
-    // Check expiry
-    const now = new Date();
-    const expiryTime = new Date(creationTime.getTime() + SHARE_DURATION_HOURS * 60 * 60 * 1000);
+function davMultistatus(responses, extraNamespaces = '') {
+    return `<?xml version="1.0" encoding="utf-8"?>\n<D:multistatus xmlns:D="DAV:"${extraNamespaces}>${responses.join('')}</D:multistatus>`;
+}
 
-    if (now > expiryTime) {
-        console.log(`Share link expired: ${shareId} (Created: ${creationTime.toISOString()}, Expired: ${expiryTime.toISOString()})`);
-        // Clean up the expired link
-        delete shareLinks[shareId];
-        return res.status(410).send(`Share link has expired (valid for ${SHARE_DURATION_HOURS} hour(s)).`); // 410 Gone
+function davPropResponse(req, userPath, fullPath, stats) {
+    const isDir = stats.isDirectory();
+    const name = userPath ? path.posix.basename(userPath) : '';
+    const props = [
+        `<D:displayname>${escapeHtml(name)}</D:displayname>`,
+        `<D:resourcetype>${isDir ? '<D:collection/>' : ''}</D:resourcetype>`,
+        `<D:creationdate>${(stats.birthtimeMs > 0 ? stats.birthtime : stats.mtime).toISOString()}</D:creationdate>`,
+        `<D:getlastmodified>${stats.mtime.toUTCString()}</D:getlastmodified>`,
+        DAV_SUPPORTED_LOCKS,
+        `<D:lockdiscovery>${getDavLocks(fullPath).map(davActiveLockXml).join('')}</D:lockdiscovery>`
+    ];
+    if (!isDir) {
+        props.push(
+            `<D:getcontentlength>${stats.size}</D:getcontentlength>`,
+            `<D:getcontenttype>${escapeHtml(getMimeType(name))}</D:getcontenttype>`,
+            `<D:getetag>${escapeHtml(getFileEtag(stats))}</D:getetag>`
+        );
     }
+    return `<D:response><D:href>${escapeHtml(davHref(req, userPath, isDir))}</D:href>` +
+        `<D:propstat><D:prop>${props.join('')}</D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat></D:response>`;
+}
 
-    // Link is valid, try to serve the file
-    const safeFullPath = getSafePath(filePathSuffix);
+// Every live property is returned whatever the client asked for; Depth "infinity" is served as one level
+async function davPropfind(req, res, { fullPath, userPath }) {
+    await readDavBody(req);
+    const stats = await fs.stat(fullPath).catch(() => null);
+    if (!stats) return res.status(404).end();
 
-    if (!safeFullPath) {
-         // Maybe path became invalid somehow?
-         console.error(`Invalid path derived from valid share link ID ${shareId}: ${filePathSuffix}`);
-         delete shareLinks[shareId]; // Clean up broken link
-         return res.status(404).send("Shared file path is invalid.");
+    const responses = [davPropResponse(req, userPath, fullPath, stats)];
+    if (req.get('Depth') !== '0' && stats.isDirectory()) {
+        const children = await listViewChildren(req.user, fullPath, userPath);
+        const childStats = await mapWithConcurrency(children, STAT_CONCURRENCY, child => fs.stat(child.fullPath).catch(() => null));
+        children.forEach((child, index) => {
+            if (childStats[index]) responses.push(davPropResponse(req, child.userPath, child.fullPath, childStats[index]));
+        });
     }
+    res.status(207).type('application/xml; charset=utf-8').send(davMultistatus(responses));
+}
 
-    try {
-        // Check existence and type before sending
-        if (!await fs.pathExists(safeFullPath)) {
-             console.warn(`Shared file path does not exist: ${safeFullPath} (ID: ${shareId})`);
-             delete shareLinks[shareId];
-             return res.status(404).send("The shared file is no longer available.");
+// Dead properties are not stored. Each one is reported as set, because clients such as Windows Explorer
+// abort a copy when setting timestamps fails.
+async function davProppatch(req, res, { fullPath, userPath }) {
+    const body = await readDavBody(req);
+    const stats = await fs.stat(fullPath).catch(() => null);
+    if (!stats) return res.status(404).end();
+    if (rejectIfDavLocked(req, res, fullPath)) return;
+
+    // Property elements are echoed back empty; their namespace prefixes are declared on the response root
+    const namespaces = {};
+    for (const match of body.matchAll(/xmlns:([\w-]+)="([^"]*)"/g)) {
+        if (match[1] !== 'D') namespaces[match[1]] = match[2];
+    }
+    const propTags = [];
+    for (const block of body.matchAll(/<(?:[\w-]+:)?prop>([\s\S]*?)<\/(?:[\w-]+:)?prop>/g)) {
+        for (const tag of block[1].matchAll(/<([\w-]+:)?([\w-]+)((?:\s+[\w:-]+="[^"]*")*)\s*\/?>/g)) {
+            const defaultNamespace = /\sxmlns="[^"]*"/.exec(tag[3] || '');
+            propTags.push(`<${tag[1] || ''}${tag[2]}${defaultNamespace ? defaultNamespace[0] : ''}/>`);
         }
-        const stats = await fs.stat(safeFullPath);
-        if (!stats.isFile()) {
-             console.warn(`Shared path is not a file: ${safeFullPath} (ID: ${shareId})`);
-             delete shareLinks[shareId];
-             return res.status(404).send("The shared item is not a file.");
+    }
+    const extraNamespaces = Object.keys(namespaces).map(prefix => ` xmlns:${prefix}="${escapeHtml(namespaces[prefix])}"`).join('');
+    const response = `<D:response><D:href>${escapeHtml(davHref(req, userPath, stats.isDirectory()))}</D:href>` +
+        `<D:propstat><D:prop>${propTags.join('')}</D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat></D:response>`;
+    res.status(207).type('application/xml; charset=utf-8').send(davMultistatus([response], extraNamespaces));
+}
+
+// GET/HEAD: files support Range and conditional requests through res.sendFile; collections get a plain link list
+async function davGet(req, res, { fullPath, userPath }) {
+    const stats = await fs.stat(fullPath).catch(() => null);
+    if (!stats) return res.status(404).end();
+
+    if (stats.isDirectory()) {
+        const children = await listViewChildren(req.user, fullPath, userPath);
+        const links = children
+            .map(child => `<li><a href="${escapeHtml(davHref(req, child.userPath, false))}">${escapeHtml(path.posix.basename(child.userPath))}</a></li>`)
+            .join('');
+        return res.type('html').send(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>/${escapeHtml(userPath)}</title></head><body><h1>/${escapeHtml(userPath)}</h1><ul>${links}</ul></body></html>`);
+    }
+
+    res.set('ETag', getFileEtag(stats));
+    res.attachment(path.basename(fullPath));
+    res.sendFile(fullPath, { dotfiles: 'allow' }, (err) => {
+        if (err && !res.headersSent) {
+            console.error(`WebDAV: error sending ${fullPath}:`, err);
+            res.status(500).end();
         }
+    });
+}
 
-        const filename = path.basename(safeFullPath);
-        console.log(`Serving shared file: ${filename} (ID: ${shareId})`);
-        res.download(safeFullPath, filename, (err) => {
-             if (err) {
-                console.error(`Error sending shared file ${filename}:`, err);
-                if (!res.headersSent) {
-                    res.status(500).send("Error downloading shared file.");
+// Whether a ranged PUT to fullPath starts a new series of writes (and so should keep a version first)
+function startsDavRangedWrite(fullPath) {
+    const now = Date.now();
+    const idleMs = DAV_RANGED_WRITE_IDLE_MINUTES * 60 * 1000;
+    for (const [writtenPath, writtenAt] of davRangedWrites) if (now - writtenAt > idleMs) davRangedWrites.delete(writtenPath);
+    const isFirst = !davRangedWrites.has(fullPath);
+    davRangedWrites.set(fullPath, now);
+    return isFirst;
+}
+
+// PUT replaces a file through a temporary file (keeping the old contents as a version), or,
+// with "Content-Range: bytes <start>-<end>/<total|*>", writes that part into the file in place
+// (keeping a version before the first part of a series)
+async function davPut(req, res, { fullPath, userPath }) {
+    if (!userPath) return res.status(405).end();
+    const stats = await fs.stat(fullPath).catch(() => null);
+    if (stats && stats.isDirectory()) return res.status(405).end();
+    if (!await isExistingDirectory(path.dirname(fullPath))) return res.status(409).end(); // Parent collection must exist
+    if (rejectIfDavLocked(req, res, fullPath)) return;
+    const currentSize = stats ? stats.size : 0;
+    const maxUploadBytes = getMaxUploadBytes(fullPath);
+    const refuse = (status, message) => {
+        res.set('Connection', 'close');
+        return res.status(status).type('text/plain').send(message);
+    };
+    const tooLarge = () => refuse(413, `Files may be at most ${formatBytes(maxUploadBytes)}`);
+
+    const contentRange = req.get('Content-Range');
+    if (contentRange) {
+        const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(contentRange.trim());
+        if (!match || Number(match[2]) < Number(match[1])) return res.status(400).end();
+        const start = Number(match[1]);
+        const rangeLength = Number(match[2]) - start + 1;
+        if (start > currentSize) return res.status(416).end(); // Would leave a hole
+        if (parseInt(req.get('Content-Length'), 10) > rangeLength) return res.status(400).type('text/plain').send('Body is longer than the Content-Range');
+        if (maxUploadBytes && Number(match[2]) + 1 > maxUploadBytes) return tooLarge();
+        const spaceProblem = await checkStorageSpace(req.user, fullPath, Number(match[2]) + 1 - currentSize);
+        if (spaceProblem) return refuse(507, spaceProblem);
+        // Limits and quotas were checked against the declared range, so nothing beyond it may be written
+        let received = 0;
+        const limiter = new Transform({
+            transform(chunk, encoding, callback) {
+                received += chunk.length;
+                if (received > rangeLength) {
+                    return callback(Object.assign(new Error('Body is longer than the Content-Range'), { status: 400 }));
                 }
-            } else {
-                console.log(`Shared file sent: ${filename}`);
+                callback(null, chunk);
             }
         });
-
-    } catch (error) {
-        console.error(`Error accessing shared file ${safeFullPath}:`, error);
-        res.status(500).send("Server error accessing shared file.");
+        if (startsDavRangedWrite(fullPath) && stats) await saveFileVersion(fullPath, req.user, 'upload');
+        await pipelineAsync(req, limiter, fs.createWriteStream(fullPath, { flags: stats ? 'r+' : 'w', start: start }));
+        if (match[3] !== '*' && (await fs.stat(fullPath)).size > Number(match[3])) {
+            await fs.truncate(fullPath, Number(match[3]));
+        }
+    } else {
+        // Refused up front when the client announces the size; chunked transfers are refused as soon as they pass the
+        // upload limit or the room left (which the file being replaced gives back), and nothing more is written
+        if (maxUploadBytes && parseInt(req.get('Content-Length'), 10) > maxUploadBytes) return tooLarge();
+        const spaceProblem = await checkStorageSpace(req.user, fullPath, (parseInt(req.get('Content-Length'), 10) || 0) - currentSize);
+        if (spaceProblem) return refuse(507, spaceProblem);
+        const room = await getStorageRoom(req.user, fullPath);
+        let received = 0;
+        let refused = false;
+        const limiter = new Transform({
+            transform(chunk, encoding, callback) {
+                received += chunk.length;
+                if (maxUploadBytes && received > maxUploadBytes) refuseBody(() => tooLarge());
+                else if (room && received > room.bytes + currentSize) {
+                    refuseBody(() => refuse(507, `Not enough space: the upload is larger than the ${formatBytes(room.bytes)} left within ${room.reason}.`));
+                }
+                callback(null, refused ? undefined : chunk);
+            }
+        });
+        // The rest of the body is read but not written, and the connection is closed after the response
+        const refuseBody = (respond) => {
+            refused = true;
+            req.unpipe(limiter);
+            req.resume();
+            limiter.end();
+            respond();
+        };
+        req.on('close', () => {
+            if (!req.complete && !refused) limiter.destroy(new Error('Upload aborted'));
+        });
+        const tempPath = path.join(UPLOADS_ROOT, `dav-${uuidv4()}.tmp`);
+        try {
+            req.pipe(limiter);
+            await pipelineAsync(limiter, fs.createWriteStream(tempPath));
+            if (refused) {
+                await fs.remove(tempPath);
+                return;
+            }
+            const receivedSize = (await fs.stat(tempPath)).size;
+            const quotaProblem = await checkStorageSpace(req.user, fullPath, receivedSize - currentSize, { onDisk: true });
+            if (quotaProblem) {
+                await fs.remove(tempPath);
+                return res.status(507).type('text/plain').send(quotaProblem);
+            }
+            if (stats) await saveFileVersion(fullPath, req.user, 'upload');
+            await fs.move(tempPath, fullPath, { overwrite: true });
+        } catch (error) {
+            await fs.remove(tempPath).catch(() => {});
+            throw error;
+        }
     }
-});
+    updateSearchIndex(fullPath);
+    console.log(`WebDAV upload: ${fullPath} (User: ${req.user.username})`);
+    res.status(stats ? 204 : 201).end();
+}
 
-// --- NEW API Endpoint: Move File/Folder ---
-app.post('/api/move', async (req, res) => {
-    const { sourcePath: sourceSuffix, destinationPath: destinationSuffix } = req.body;
+async function davMkcol(req, res, { fullPath }) {
+    const body = await readDavBody(req);
+    if (body.length > 0) return res.status(415).end(); // MKCOL request bodies are not supported
+    if (await fs.pathExists(fullPath)) return res.status(405).end();
+    if (!await isExistingDirectory(path.dirname(fullPath))) return res.status(409).end();
+    if (rejectIfDavLocked(req, res, fullPath)) return;
+    await fs.mkdir(fullPath);
+    updateSearchIndex(fullPath);
+    console.log(`WebDAV directory created: ${fullPath} (User: ${req.user.username})`);
+    res.status(201).end();
+}
 
-    if (!sourceSuffix || destinationSuffix === undefined) { // Allow empty destination for root
-        return res.status(400).json({ error: "Missing source or destination path" });
-    }
+async function davDelete(req, res, { fullPath, userPath }) {
+    if (getProtectedPaths(req.user).includes(fullPath)) return res.status(403).end();
+    if (!await fs.pathExists(fullPath)) return res.status(404).end();
+    if (rejectIfDavLocked(req, res, fullPath, true)) return;
+    await moveToTrash(req.user, fullPath, userPath);
+    releaseDavLocks(fullPath);
+    res.status(204).end();
+}
 
-    const sourceFullPath = getSafePath(sourceSuffix);
-    // Destination is a *directory* where the item should be moved *into*.
-    const destinationDirFullPath = getSafePath(destinationSuffix);
+// COPY and MOVE. An existing destination is only replaced with "Overwrite: T" (the default) and goes to the recycle bin.
+async function davCopyOrMove(req, res, { fullPath }) {
+    const isMove = req.method === 'MOVE';
+    const destination = await getDavDestination(req);
+    if (!destination) return res.status(400).end();
+    if (!destination.fullPath) return res.status(403).end();
 
-    if (!sourceFullPath || !destinationDirFullPath) {
-        return res.status(400).json({ error: "Invalid source or destination path (safety check failed)" });
+    const stats = await fs.stat(fullPath).catch(() => null);
+    if (!stats) return res.status(404).end();
+    const protectedPaths = getProtectedPaths(req.user);
+    if ((isMove && protectedPaths.includes(fullPath)) || protectedPaths.includes(destination.fullPath)) {
+        return res.status(403).end();
+    }
+    if (destination.fullPath === fullPath || destination.fullPath.startsWith(fullPath + path.sep)) {
+        return res.status(403).end(); // Onto or into itself
     }
+    if (getWriteProblem(destination.fullPath)) return res.status(403).end();
+    if (!await isExistingDirectory(path.dirname(destination.fullPath))) return res.status(409).end();
+    if (isMove && rejectIfDavLocked(req, res, fullPath, true)) return;
+    if (rejectIfDavLocked(req, res, destination.fullPath, true)) return;
+    const spaceProblem = await checkStorageSpace(req.user, path.dirname(destination.fullPath), await getItemSize(fullPath), isMove ? { sourcePath: fullPath } : {});
+    if (spaceProblem) return res.status(507).type('text/plain').send(spaceProblem);
 
-    // Safety check: Ensure source exists
-    if (!await fs.pathExists(sourceFullPath)) {
-        return res.status(404).json({ error: `Source item not found: ${sourceSuffix}` });
+    const destinationExists = await fs.pathExists(destination.fullPath);
+    if (destinationExists) {
+        if ((req.get('Overwrite') || 'T').toUpperCase() === 'F') return res.status(412).end();
+        await moveToTrash(req.user, destination.fullPath, destination.userPath);
     }
 
-    // Safety check: Ensure destination is an existing directory
-    try {
-        // Check existence first
-        if (!await fs.pathExists(destinationDirFullPath)) {
-            return res.status(404).json({ error: `Destination directory not found: ${destinationSuffix}` });
-        }
-        const destStat = await fs.stat(destinationDirFullPath);
-        if (!destStat.isDirectory()) {
-            return res.status(400).json({ error: `Destination is not a directory: ${destinationSuffix}` });
-        }
-    } catch (error) {
-         console.error(`Error stating destination directory ${destinationDirFullPath}:`, error);
-         return res.status(500).json({ error: "Error checking destination directory" });
+    if (isMove) {
+        await fs.move(fullPath, destination.fullPath);
+        removeFromSearchIndex(fullPath);
+        releaseDavLocks(fullPath);
+        await moveFileVersions(fullPath, destination.fullPath);
+        moveQuotas(fullPath, destination.fullPath);
+        announceMove(fullPath, destination.fullPath);
+    } else if (stats.isDirectory() && req.get('Depth') === '0') {
+        await fs.mkdir(destination.fullPath); // Depth 0 copies a collection without its members
+    } else {
+        await fs.copy(fullPath, destination.fullPath);
     }
+    updateSearchIndex(destination.fullPath);
+    console.log(`WebDAV ${req.method}: ${fullPath} -> ${destination.fullPath} (User: ${req.user.username})`);
+    res.status(destinationExists ? 204 : 201).end();
+}
 
-    const itemName = path.basename(sourceFullPath);
-    const finalDestinationPath = path.join(destinationDirFullPath, itemName);
+// LOCK with a body takes a new lock; without one it refreshes the lock named in the If header
+async function davLock(req, res, { fullPath, userPath }) {
+    const body = await readDavBody(req);
+    const timeoutMatch = /Second-(\d+)/i.exec(req.get('Timeout') || '');
+    const timeoutSeconds = Math.min(timeoutMatch ? Number(timeoutMatch[1]) : DAV_MAX_LOCK_SECONDS, DAV_MAX_LOCK_SECONDS);
 
-    // Safety check: Prevent moving item onto itself or into itself
-    if (sourceFullPath === finalDestinationPath || sourceFullPath === destinationDirFullPath) {
-        return res.status(400).json({ error: "Cannot move item to the same location or into itself" });
-    }
-    // Prevent moving a folder into one of its own subfolders
-    if ((await fs.stat(sourceFullPath)).isDirectory() && finalDestinationPath.startsWith(sourceFullPath + path.sep)) {
-         return res.status(400).json({ error: "Cannot move a folder into itself or one of its subdirectories." });
+    if (!body.trim()) {
+        const token = getSubmittedLockTokens(req)
+            .find(submitted => getDavLocks(fullPath).includes(submitted) && davLocks[submitted].owner === req.user.username);
+        if (!token) return res.status(412).end();
+        davLocks[token].expires = Date.now() + timeoutSeconds * 1000;
+        return sendDavLock(res, token, 200);
     }
 
+    const scope = /<(?:[\w-]+:)?shared\b/i.test(body) ? 'shared' : 'exclusive';
+    const depth = req.get('Depth') === '0' ? '0' : 'infinity';
+    const conflicting = getDavLocks(fullPath, depth === 'infinity')
+        .filter(token => scope === 'exclusive' || davLocks[token].scope === 'exclusive');
+    if (conflicting.length > 0) return res.status(423).end();
 
-    // Safety check: Prevent overwriting existing file/folder at destination
-    if (await fs.pathExists(finalDestinationPath)) {
-         return res.status(409).json({ error: `An item named '${itemName}' already exists in the destination.` }); // 409 Conflict
+    let status = 200;
+    if (!await fs.pathExists(fullPath)) {
+        // Locking an unmapped URL creates an empty file (RFC 4918, section 9.10.4)
+        if (!userPath || !await isExistingDirectory(path.dirname(fullPath))) return res.status(409).end();
+        if (getWriteProblem(fullPath)) return res.status(403).end();
+        await fs.writeFile(fullPath, '');
+        updateSearchIndex(fullPath);
+        status = 201;
     }
+    const ownerMatch = /<(?:[\w-]+:)?owner[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?owner>/i.exec(body);
+    const token = `opaquelocktoken:${uuidv4()}`;
+    davLocks[token] = {
+        fullPath: fullPath,
+        owner: req.user.username,
+        owner_xml: ownerMatch ? ownerMatch[1] : '',
+        scope: scope,
+        depth: depth,
+        href: davHref(req, userPath, await isExistingDirectory(fullPath)),
+        expires: Date.now() + timeoutSeconds * 1000
+    };
+    res.set('Lock-Token', `<${token}>`);
+    sendDavLock(res, token, status);
+}
 
-    try {
-        console.log(`Moving "${sourceFullPath}" to "${finalDestinationPath}"`);
-        await fs.move(sourceFullPath, finalDestinationPath); // fs-extra move handles files and dirs
-        res.json({ message: `Successfully moved '${itemName}' to /${destinationSuffix || ''}` });
-    } catch (error) {
-        console.error(`Error moving item from ${sourceFullPath} to ${finalDestinationPath}:`, error);
-        // Provide more specific error messages if possible (e.g., permission denied)
-        res.status(500).json({ error: `Failed to move item: ${error.message}` });
-    }
-});
+async function davUnlock(req, res, { fullPath }) {
+    const token = (req.get('Lock-Token') || '').trim().replace(/^<|>$/g, '');
+    if (!getDavLocks(fullPath).includes(token)) return res.status(409).end();
+    if (davLocks[token].owner !== req.user.username && req.user.role !== 'admin') return res.status(403).end();
+    delete davLocks[token];
+    res.status(204).end();
+}
 
-// --- NEW API Endpoint: Save File Content ---
-app.post('/api/save', async (req, res) => {
-    const { filePath: fileSuffix, content } = req.body;
+const DAV_HANDLERS = {
+    PROPFIND: davPropfind,
+    PROPPATCH: davProppatch,
+    GET: davGet,
+    HEAD: davGet,
+    PUT: davPut,
+    MKCOL: davMkcol,
+    DELETE: davDelete,
+    COPY: davCopyOrMove,
+    MOVE: davCopyOrMove,
+    LOCK: davLock,
+    UNLOCK: davUnlock
+};
+const DAV_ALLOWED_METHODS = ['OPTIONS', ...Object.keys(DAV_HANDLERS)].join(', ');
 
-    if (!fileSuffix || content === undefined || content === null) { // Check content existence
-        return res.status(400).json({ error: "Missing file path or content" });
-    }
+// Methods that change the item at the request URL; refused on read-only drives (COPY checks its destination itself)
+const DAV_WRITE_METHODS = ['PROPPATCH', 'PUT', 'MKCOL', 'DELETE', 'MOVE'];
 
-    const fileFullPath = getSafePath(fileSuffix);
+// Methods that change or read file contents are audited like their counterparts in the API
+const DAV_AUDIT_ACTIONS = { GET: 'download', PUT: 'upload', MKCOL: 'mkdir', DELETE: 'delete', COPY: 'copy', MOVE: 'move' };
 
-    if (!fileFullPath) {
-        return res.status(400).json({ error: "Invalid file path (safety check failed)" });
+async function handleDavRequest(req, res) {
+    res.set({ 'DAV': '1, 2', 'MS-Author-Via': 'DAV', 'Content-Security-Policy': DAV_CSP, 'X-Content-Type-Options': 'nosniff' });
+    if (req.method === 'OPTIONS') {
+        return res.set('Allow', DAV_ALLOWED_METHODS).status(200).end();
+    }
+    const handler = Object.prototype.hasOwnProperty.call(DAV_HANDLERS, req.method) ? DAV_HANDLERS[req.method] : null;
+    if (!handler) {
+        return res.set('Allow', DAV_ALLOWED_METHODS).status(405).end();
     }
 
-    // Check if it exists and is a file before writing
     try {
-         if (!await fs.pathExists(fileFullPath)) {
-            return res.status(404).json({ error: `File not found: ${fileSuffix}` });
+        const user = await getDavUser(req);
+        if (!user) {
+            return res.status(401).set('WWW-Authenticate', 'Basic realm="KimmelDrive", charset="UTF-8"').end();
         }
-        const stat = await fs.stat(fileFullPath);
-        if (!stat.isFile()) {
-            return res.status(400).json({ error: "Target path is not a file." });
-        }
-    } catch (error) {
-         console.error(`Error stating file for saving ${fileFullPath}:`, error);
-         return res.status(500).json({ error: "Error checking file before save" });
-    }
+        req.user = user;
 
-    try {
-        console.log(`Saving content to "${fileFullPath}"`);
-        // Overwrite the file with new content (defaulting to UTF-8)
-        await fs.writeFile(fileFullPath, content, 'utf8'); // Explicitly UTF-8
-        res.json({ message: `File '${path.basename(fileFullPath)}' saved successfully.` });
+        const parsed = parseDavPath(req.path);
+        const fullPath = parsed ? await getSafePath(parsed.rawPath, user) : null;
+        if (!fullPath) return res.status(403).end();
+        if (DAV_AUDIT_ACTIONS[req.method]) {
+            auditResponse(req, res, DAV_AUDIT_ACTIONS[req.method], () => {
+                if (isRangeContinuation(req)) return null;
+                const destination = req.method === 'COPY' || req.method === 'MOVE' ? parseDavDestination(req) : null;
+                const located = destination ? locateUserPath(destination.rawPath, user) : null;
+                return { path: toStoragePath(fullPath), target: located ? toStoragePath(located.fullPath) : undefined, details: { via: 'webdav' } };
+            });
+        }
+        if (DAV_WRITE_METHODS.includes(req.method) && getWriteProblem(fullPath)) return res.status(403).end();
+        await handler(req, res, { fullPath: fullPath, userPath: parsed.userPath });
     } catch (error) {
-        console.error(`Error writing file ${fileFullPath}:`, error);
-        res.status(500).json({ error: `Failed to save file: ${error.message}` });
+        console.error(`WebDAV ${req.method} ${req.originalUrl} failed:`, error);
+        if (!res.headersSent) res.status(error.status || 500).end();
     }
-});
+}
 
 
 // --- Start Server ---
-app.listen(PORT, '0.0.0.0', () => {
+ensureInitialAdmin().then(() => app.listen(PORT, '0.0.0.0', () => {
     console.log(`\n--- Node.js File Server Ready ---`);
     // Logged Storage Root and ensured dir earlier
-    console.log(`Share Link Duration: ${SHARE_DURATION_HOURS} hour(s)`);
+    console.log(`Default Share Link Duration: ${DEFAULT_SHARE_DURATION_HOURS} hour(s) (${Object.keys(shareLinks).length} active link(s) loaded)`);
     console.log(`Server listening on http://0.0.0.0:${PORT}`);
     console.log(`Access UI via http://<your_local_ip>:${PORT}`);
-    console.log(`\nWARNINGS:`);
-    console.log(`  - No user authentication implemented!`);
-    console.log(`  - File deletion is permanent!`);
-    console.log(`  - Share links & timestamps are stored in memory (reset on server restart)!`);
+    console.log(`User accounts: ${Object.keys(users).length} (data in ${DATA_DIR})`);
+    console.log(`WebDAV: mount http://<your_local_ip>:${PORT}${DAV_PREFIX}/ with your account's username and password`);
+    console.log(`Trash retention: ${TRASH_RETENTION_DAYS > 0 ? `${TRASH_RETENTION_DAYS} day(s)` : 'forever'} (${Object.keys(trashItems).length} item(s) in trash)`);
     console.log("\nPress CTRL+C to stop.");
+    startStorageWatcher();
+    buildSearchIndex().catch(err => console.error("Error building search index:", err));
+})).catch(err => {
+    console.error("\nFATAL ERROR: Could not initialize user accounts.", err);
+    process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+// Non-interactive setup: writes the config file server.js reads at startup (kimmeldrive.config.json, or CONFIG_FILE).
+//
+//   npm run setup -- --storage /srv/kimmeldrive [--admin admin] [--admin-password secret]
+//                    [--drive "Media=/mnt/media"] [--drive "Backups=/mnt/backup,read-only,no-sharing"]
+//                    [--drive "Documents=/srv/docs,max-upload=100,users=alice+bob"]
+//                    [--symlinks contain|deny|follow] [--cors-origin https://intranet.example.com] [--config file] [--force]
+//
+// Drive options after the path: read-only, no-sharing, max-upload=<MB> (0 = only the server-wide limit) and
+// users=<name>+<name> (who sees the drive; admins always do). --symlinks sets how links in the storage are followed
+// (see SYMLINK_POLICY in server.js); --cors-origin may be repeated. Edit the JSON by hand for anything else.
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { parseArgs, promisify } = require('util');
+
+const scryptAsync = promisify(crypto.scrypt);
+
+const USAGE = `Usage: npm run setup -- --storage <path> [--admin <username>] [--admin-password <password>]
+                      [--drive "<name>=<path>[,read-only][,no-sharing][,max-upload=<MB>][,users=<a>+<b>]"]...
+                      [--symlinks contain|deny|follow] [--cors-origin <origin>]... [--config <file>] [--force]`;
+const SYMLINK_POLICIES = ['contain', 'deny', 'follow'];
+
+// "Backups=/mnt/backup,read-only,max-upload=100" -> { name, path, read_only, max_upload_mb, sharing, users? }
+function parseDrive(spec) {
+    const separator = spec.indexOf('=');
+    if (separator < 1) throw new Error(`Drive "${spec}" must look like <name>=<path>[,options].`);
+    const name = spec.slice(0, separator).trim();
+    const [drivePath, ...options] = spec.slice(separator + 1).split(',');
+    if (name !== name.replace(/[/\\?%*:|"<>]/g, '_') || name === '.' || name === '..') {
+        throw new Error(`Invalid drive name "${name}" (it can't contain / \\ ? % * : | " < >).`);
+    }
+    if (!drivePath.trim()) throw new Error(`Drive "${name}" has no path.`);
+
+    const drive = { name: name, path: path.resolve(drivePath.trim()), read_only: false, max_upload_mb: 0, sharing: true };
+    for (const option of options.map(value => value.trim()).filter(Boolean)) {
+        const [key, value] = option.split('=');
+        if (key === 'read-only' && value === undefined) drive.read_only = true;
+        else if (key === 'no-sharing' && value === undefined) drive.sharing = false;
+        else if (key === 'max-upload' && Number(value) >= 0) drive.max_upload_mb = Number(value);
+        else if (key === 'users' && value !== undefined) drive.users = value.split('+').map(user => user.trim()).filter(Boolean);
+        else throw new Error(`Unknown option "${option}" for drive "${name}".`);
+    }
+    return drive;
+}
+
+// Same "scrypt$<salt>$<hash>" format as hashPassword in server.js, so the password itself never lands in the config file
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scryptAsync(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+function isSameOrInside(fullPath, folderPath) {
+    return fullPath === folderPath || fullPath.startsWith(folderPath + path.sep);
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            storage: { type: 'string' },
+            admin: { type: 'string' },
+            'admin-password': { type: 'string' },
+            drive: { type: 'string', multiple: true, default: [] },
+            symlinks: { type: 'string', default: 'contain' },
+            'cors-origin': { type: 'string', multiple: true, default: [] },
+            config: { type: 'string' },
+            force: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!values.storage) throw new Error('--storage is required.');
+
+    const configFile = path.resolve(values.config || process.env.CONFIG_FILE || path.join(__dirname, 'kimmeldrive.config.json'));
+    if (await fs.pathExists(configFile) && !values.force) {
+        throw new Error(`${configFile} already exists. Pass --force to replace it.`);
+    }
+    const adminPassword = values['admin-password'];
+    if (adminPassword !== undefined && adminPassword.length < 8) {
+        throw new Error('The admin password must be at least 8 characters long.');
+    }
+
+    if (!SYMLINK_POLICIES.includes(values.symlinks)) {
+        throw new Error(`--symlinks must be one of: ${SYMLINK_POLICIES.join(', ')}.`);
+    }
+    const corsOrigins = values['cors-origin'].map(origin => {
+        let url;
+        try {
+            url = new URL(origin);
+        } catch (error) {
+            throw new Error(`Invalid CORS origin "${origin}" (expected e.g. https://intranet.example.com).`);
+        }
+        return url.origin;
+    });
+
+    const storagePath = path.resolve(values.storage);
+    const drives = [];
+    for (const spec of values.drive) {
+        const drive = parseDrive(spec);
+        if (drives.some(other => other.name === drive.name)) throw new Error(`Drive "${drive.name}" is given twice.`);
+        const overlapping = [{ name: 'the storage path', path: storagePath }, ...drives]
+            .find(other => isSameOrInside(drive.path, other.path) || isSameOrInside(other.path, drive.path));
+        if (overlapping) throw new Error(`Drive "${drive.name}" overlaps with ${overlapping.name}.`);
+        if (!await fs.pathExists(drive.path)) console.warn(`Warning: ${drive.path} (drive "${drive.name}") does not exist yet.`);
+        drives.push(drive);
+    }
+
+    const config = { storage_path: storagePath, admin_username: values.admin || 'admin' };
+    // Only used to create the admin account on the first start; the server removes it from the file afterwards
+    if (adminPassword) config.admin_password_hash = await hashPassword(adminPassword);
+    config.drives = drives;
+    config.symlink_policy = values.symlinks;
+    config.cors_origins = corsOrigins;
+    await fs.ensureDir(path.dirname(configFile));
+    await fs.writeJson(configFile, config, { spaces: 2, mode: 0o600 });
+    await fs.chmod(configFile, 0o600); // writeJson's mode only applies to new files
+
+    console.log(`Configuration saved to ${configFile}:`);
+    console.log(`  Storage path: ${storagePath}`);
+    console.log(`  Admin account: ${config.admin_username}${adminPassword ? '' : ' (a password is generated and printed on the first start)'}`);
+    drives.forEach(drive => {
+        const flags = [drive.read_only ? 'read-only' : 'read/write', drive.sharing ? 'sharing allowed' : 'no sharing'];
+        if (drive.max_upload_mb) flags.push(`uploads up to ${drive.max_upload_mb} MB`);
+        if (drive.users) flags.push(`users: ${drive.users.join(', ') || 'admins only'}`);
+        console.log(`  Drive "${drive.name}": ${drive.path} (${flags.join(', ')})`);
+    });
+    console.log(`  Symlinks: ${values.symlinks}`);
+    console.log(`  Cross-origin access: ${corsOrigins.length ? corsOrigins.join(', ') : 'none (only the app itself)'}`);
+    console.log('Start the server with "npm start".');
+}
+
+main().catch((error) => {
+    console.error(`Setup failed: ${error.message}`);
+    console.error(USAGE);
+    process.exitCode = 1;
+});